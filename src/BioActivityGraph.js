@@ -1,7 +1,42 @@
 'use strict';
 
-// import { saveAs } from 'file-saver';
+import { saveAs } from 'file-saver';
 const d3 = require('d3');
+import { HEATMAP_ORDERS, HeatmapGraph } from './HeatmapGraph.js';
+import { PointCanvas, canvasSupported } from './PointCanvas.js';
+import { SelectivityGraph } from './SelectivityGraph.js';
+import { SPREADS, STATISTICS, aggregatePoints } from './aggregate.js';
+import { serializeSVG, svgToPNG, toDelimited } from './export.js';
+import { boxStats, kernelDensity, silvermanBandwidth } from './distribution.js';
+import { showStatus } from './status.js';
+import { ASSAY_TYPES, defaultFilters, filterPoints } from './filters.js';
+import { DEFAULT_LINKS, FIELD_SCOPES, resolveLinks } from './links.js';
+import {
+	CATEGORICAL_FIELDS,
+	FIELD_LABELS,
+	NUMERIC_FIELDS,
+	applyRules,
+	describeRule,
+	isValidRule,
+	moveRule,
+	paletteRules
+} from './rules.js';
+import { parseRelation, toNanoMolar, toPActivity } from './units.js';
+
+/* the shapes available for the display of data points, in the order used by
+ * d3.symbols */
+const SHAPES = ['Circle','Cross','Diamond','Square','Star','Triangle','Wye'];
+/* used to give unique ids to the SVG definitions of each instance */
+let instanceCount = 0;
+/* X axis labels longer than this are truncated, and the approximate width
+ * (in pixels) of each of their characters */
+const LABEL_LENGTH = 14;
+const CHAR_WIDTH = 6;
+/* containers narrower than this display the controls as a toolbar */
+const NARROW_WIDTH = 600;
+/* the width reserved for the legend of a continuous color scale, to the left
+ * of the Y axis */
+const LEGEND_WIDTH = 50;
 
 /**
  * @class BioActivityGraph
@@ -14,45 +49,264 @@ export class BioActivityGraph {
 	/**
 	 * Initialize an instance of BioActivityGraph
 	 *
-	 * @param {object} chemblObj The object returned by the query performed on
-	 * TargetMine
+	 * @param {HTMLElement} el The element provided by BlueGenes, containing the
+	 * DOM template of the tool. All DOM lookups are limited to this element
+	 * @param {array} records The list of ActivityRecord to display, as produced
+	 * by any of the adapters in provider.js
+	 * @param {function} navigate The navigation callback provided by BlueGenes
+	 * @param {object} state The tool state provided by BlueGenes, from which
+	 * the graph's configuration is restored
+	 * @param {function} onStateChange Called with the graph's configuration
+	 * every time it changes, so that it can be persisted by the host
+	 * @param {object} links The URL templates of the external pages linked
+	 * from the graph, see mergeLinks
 	 */
-	constructor(chemblObj) {
+	constructor(el, records, navigate, state={}, onStateChange=undefined, links=DEFAULT_LINKS) {
+		/* the root of the DOM elements used by this instance */
+		this._root = d3.select(el);
+		this._uid = `bioActivity-${++instanceCount}`;
 		/* exit if there is no data to display */
-		if (chemblObj === undefined || chemblObj.targetProteins.length === 0) {
-			d3.select('div#bioActivityGraph')
-				.text('No BioActivity Data to Display.');
+		if (records === undefined || records.length === 0) {
+			showStatus(el, 'No BioActivity Data to Display.');
 			return;
 		}
-		/* width and height of the canvas, together with margins for the graph */
+		/* used to move to other pages within BlueGenes, and to external pages */
+		this._navigate = navigate;
+		this._links = links;
+		/* the compounds whose activities are displayed, in order of appearance */
+		this._compounds = d3.groups(records, r => r.compound)
+			.map(([id, rs]) => ({ id, name: rs[0].compoundName }));
+		/* used to name the files exported from the graph */
+		this._compound = this._compounds.length > 1 ?
+			'compounds' :
+			records[0].compound || 'compound';
+		this.updateHeader();
+		/* width and height of the canvas, together with margins for the graph.
+		 * The size follows that of the container, see resize */
 		this._width = 400;
 		this._height = 400;
 		this._margin = { top: 40, right: 40, bottom: 40, left: 40 };
-		/* used for the display of violin plots associated to the data points */
-		this._bins = undefined;
-		/* the list of colors and shapes used to display data points */
-		this._colors = new Map([['Default', '#C0C0C0']]);
-		this._shapes = new Map([['Default', 'Circle']]);
+		this._rotateLabels = false;
+		/* used for the display of violin and box plots associated to the data
+		 * points, with the adjustment applied to the bandwidth of the violins */
+		this._distributions = undefined;
+		this._bandwidth = 1;
+		/* the field used to group points along the X axis, and the optional field
+		 * used to dodge points within each group */
+		this._xField = 'type';
+		this._dodgeField = undefined;
+		this._dodge = undefined;
+		/* the type of Y axis used: 'log', 'pActivity' or 'linear' */
+		this._yMode = 'log';
+		/* the visualization displayed: 'scatter', 'selectivity' or 'heatmap' */
+		this._view = 'scatter';
+		/* targets are ranked per compound, so the selectivity view displays one
+		 * of the loaded compounds at a time */
+		this._selectivityCompound = this._compounds[0].id;
+		this._selectivity = new SelectivityGraph(
+			this._root.select('svg.canvas_selectivity'),
+			{
+				width: this._width,
+				height: this._height,
+				margin: { ...this._margin, left: 60 },
+				onClick: point => this.pinDetails(point),
+				onHover: (event, point) => this.showTooltip(event, point),
+				onLeave: () => this.hideTooltip()
+			}
+		);
+		this._heatmap = new HeatmapGraph(
+			this._root.select('svg.canvas_heatmap'),
+			{
+				width: this._width,
+				height: this._height,
+				margin: { ...this._margin, left: 80, bottom: 60 },
+				onClick: point => this.navigateToProtein(point),
+				onHover: (event, point) => this.showTooltip(event, point),
+				onLeave: () => this.hideTooltip()
+			}
+		);
+		/* large sets of points are drawn on a canvas, created when first needed */
+		this._canvas = undefined;
+		/* the zoom applied to the Y axis, and the points selected by brushing */
+		this._yTransform = d3.zoomIdentity;
+		this._zoom = undefined;
+		this._brush = undefined;
+		this._selected = [];
+		/* the ordered lists of rules used to assign colors and shapes to data
+		 * points, and the values used when no rule applies */
+		this._colors = [];
+		this._shapes = [];
+		this._defaultColor = '#C0C0C0';
+		this._defaultShape = 'Circle';
+		/* when defined, colors are assigned using a continuous color scale on a
+		 * numeric field ({ field, scheme }) instead of the color rules */
+		this._colorScale = undefined;
+		/* points that can not be displayed, together with the reason why */
+		this._excluded = [];
+		/* how replicate measurements are aggregated; a statistic of 'none' displays
+		 * every measurement */
+		this._aggregation = { statistic: 'none', spread: 'range', violinRaw: true };
+		/* the filters applied to the loaded points; undefined until the data is
+		 * loaded, unless restored from the tool's state */
+		this._filters = undefined;
+		/* the configuration of the graph is restored from the tool's state, and
+		 * reported back as it changes */
+		this._onStateChange = onStateChange;
+		this.restoreState(state);
 		
-		/* initilize points */
-		this._data = this.loadData(chemblObj.targetProteins);
+		/* initilize points: all the loaded points, those that pass the filters and
+		 * those displayed after aggregation */
+		this._loaded = this.loadData(records);
+		if (!this._filters) this._filters = defaultFilters(this._loaded);
+		this._raw = filterPoints(this._loaded, this._filters);
+		this._data = this.aggregateData();
+		this.updateTableExcluded();
+		if (this._loaded.length === 0) {
+			this._root.select('div.bioActivityGraph svg.canvas_bioActivity')
+				.style('display', 'none');
+			this._root.select('div.bioActivityGraph')
+				.insert('p', 'svg.canvas_bioActivity')
+				.text('No BioActivity Data with Molar Concentrations to Display.');
+			return;
+		}
 		/* Initialize the Axis of the graph */
+		[this._width, this._height] = this.measure();
+		this.updateViewBox();
+		this._margin = this.initMargins();
 		this._xAxis = this.initXAxis();
+		this._dodge = this.initDodgeScale();
 		this._yAxis = this.initYAxis();
 		/* Initialize data points, position, color and shape */
 		this.updatePointPositions();
 		this.updatePointColors();
 		this.updatePointShapes();
 		/* Initialize histogram for violin plots display */
-		this.initHistogramBins();
+		this.initDistributions();
 		/* Update DOM elements */
 		this.updateTableColor();
 		this.updateTableShape();
 		this.initFunctions();
+		this.initFilters();
+		this.updateTableCompounds();
+		this.initZoom();
 		/* Plot the graph */
 		this.plotXAxis();
 		this.plotYAxis();
 		this.plotData();
+		this.plotDistributions();
+		this.plotColorLegend();
+		this.setView(this._view);
+		this.initResize();
+	}
+
+	/**
+	 * Initialize the scale used to dodge points within each X axis group
+	 *
+	 * @returns {function} A band scale over the values of the dodge field, or
+	 * undefined if points are not dodged
+	 */
+	initDodgeScale() {
+		if (!this._dodgeField || this._dodgeField === this._xField) return undefined;
+		let values = this._raw.reduce((p,c) => p.add(c[this._dodgeField]), new Set());
+		return d3.scaleBand()
+			.domain([...values].sort())
+			.range([0, this._xAxis.scale().bandwidth()])
+			.padding(0.1);
+	}
+
+	/**
+	 * Initialize the controls of the filters panel
+	 * Organisms and activity types are listed from the loaded points, and the
+	 * concentration range slider spans their values in log10 steps.
+	 */
+	initFilters() {
+		let self = this;
+		let div = this._root.select('div.rightColumn_bioActivity div.filters-div');
+		let f = this._filters;
+		/* the organism is optional, and the filter is hidden when not available */
+		let organisms = [...new Set(this._loaded.map(d => d.organism))]
+			.filter(d => d !== undefined)
+			.sort();
+		div.select('.filter-organisms')
+			.style('display', organisms.length ? null : 'none')
+			.selectAll('.flex-row')
+			.data(organisms)
+			.join('div')
+				.classed('flex-row', true)
+				.each(function(d) {
+					d3.select(this).append('input')
+						.attr('type', 'checkbox')
+						.attr('data-value', d)
+						.property('checked', !f.organisms || f.organisms.includes(d));
+					d3.select(this).append('label')
+						.classed('row-label', true)
+						.text(d);
+				});
+		div.select('.cb-canonical')
+			.property('checked', f.canonical);
+		let types = [...new Set(this._loaded.map(d => d.type))].sort();
+		div.select('.select-types')
+			.attr('size', Math.min(types.length, 5))
+			.selectAll('option')
+			.data(types)
+			.join('option')
+				.attr('value', d => d)
+				.property('selected', d => !f.types || f.types.includes(d))
+				.text(d => d);
+		/* assay types are optional as well */
+		let assayTypes = [...new Set(this._loaded.map(d => d.assayType))]
+			.filter(d => d !== undefined)
+			.sort();
+		div.select('.select-assay-types')
+			.style('display', assayTypes.length ? null : 'none')
+			.attr('size', Math.min(assayTypes.length, 5))
+			.selectAll('option')
+			.data(assayTypes)
+			.join('option')
+				.attr('value', d => d)
+				.property('selected', d => !f.assayTypes || f.assayTypes.includes(d))
+				.text(d => ASSAY_TYPES[d] || d);
+		/* the range slider works on log10 values */
+		let [min, max] = d3.extent(this._loaded, d => d.value);
+		let [lo, hi] = [Math.floor(Math.log10(min)), Math.ceil(Math.log10(max))];
+		let range = f.range || [Math.pow(10, lo), Math.pow(10, hi)];
+		div.selectAll('.filter-min, .filter-max')
+			.attr('min', lo)
+			.attr('max', hi)
+			.attr('step', 0.1);
+		div.select('.filter-min').property('value', Math.log10(range[0]));
+		div.select('.filter-max').property('value', Math.log10(range[1]));
+		let label = () => {
+			let [a, b] = [div.select('.filter-min').property('value'), div.select('.filter-max').property('value')];
+			div.select('.filter-range-label')
+				.text(`${d3.format('~g')(Math.pow(10, +a))} - ${d3.format('~g')(Math.pow(10, +b))} nM`);
+		};
+		label();
+
+		div.selectAll('input, select')
+			.on('input', label)
+			.on('change', function(){
+				let checked = div.selectAll('.filter-organisms input').nodes()
+					.filter(n => n.checked)
+					.map(n => n.dataset.value);
+				let selected = cls => div.selectAll(`.${cls} option`).nodes()
+					.filter(n => n.selected)
+					.map(n => n.value);
+				let [typesSelected, assaysSelected] = [selected('select-types'), selected('select-assay-types')];
+				let a = +div.select('.filter-min').property('value');
+				let b = +div.select('.filter-max').property('value');
+				/* the full extent of the slider does not filter anything */
+				let full = Math.min(a, b) <= lo && Math.max(a, b) >= hi;
+				self.applyFilters({
+					compounds: self._filters.compounds,
+					organisms: checked.length === organisms.length ? undefined : checked,
+					canonical: div.select('.cb-canonical').property('checked'),
+					types: typesSelected.length === types.length ? undefined : typesSelected,
+					assayTypes: assaysSelected.length === assayTypes.length ? undefined : assaysSelected,
+					range: full ? undefined : [Math.pow(10, Math.min(a, b)), Math.pow(10, Math.max(a, b))]
+				});
+				label();
+			});
 	}
 
 	/**
@@ -61,115 +315,671 @@ export class BioActivityGraph {
 	initFunctions() {
 		let self = this;
 		/* Right control buttons */
-		d3.selectAll('#rightColumn_bioActivity button')
+		this._root.selectAll('.rightColumn_bioActivity button.color-add, .rightColumn_bioActivity button.shape-add')
 			.on('click', function(){ 
 				self.modalDisplay(this.value);
 			});
+		/* Automatic palettes, for categorical fields only */
+		['color', 'shape'].forEach(type => {
+			this._root.select(`.rightColumn_bioActivity .select-${type}-by`)
+				.selectAll('option.field')
+				.data(this.availableFields(CATEGORICAL_FIELDS))
+				.join('option')
+					.classed('field', true)
+					.attr('value', d => d)
+					.text(d => FIELD_LABELS[d]);
+			this._root.select(`.rightColumn_bioActivity .select-${type}-by`)
+				.on('change', function(){
+					if (this.value) self.applyPalette(type, this.value);
+					this.value = '';
+				});
+		});
+		/* Continuous color scales, for numeric fields only */
+		this._root.select('.rightColumn_bioActivity .select-color-scale')
+			.selectAll('option.field')
+			.data(this.availableFields(NUMERIC_FIELDS))
+			.join('option')
+				.classed('field', true)
+				.attr('value', d => d)
+				.text(d => `Scale: ${FIELD_LABELS[d]}`);
+		this._root.selectAll('.rightColumn_bioActivity .select-color-scale, .rightColumn_bioActivity .select-color-scheme')
+			.on('change', function(){
+				let field = self._root.select('.rightColumn_bioActivity .select-color-scale').property('value');
+				let scheme = self._root.select('.rightColumn_bioActivity .select-color-scheme').property('value');
+				self.setColorScale(field ? { field, scheme } : undefined);
+			});
+		this._root.select('.rightColumn_bioActivity .select-color-scale')
+			.property('value', this._colorScale ? this._colorScale.field : '');
+		this._root.select('.rightColumn_bioActivity .select-color-scheme')
+			.property('value', this._colorScale ? this._colorScale.scheme : 'sequential');
+		/* Visualization mode */
+		this._root.select('.rightColumn_bioActivity .select-view')
+			.property('value', this._view)
+			.on('change', function(){ self.setView(this.value); });
+		this._root.select('.rightColumn_bioActivity .select-selectivity-compound')
+			.style('display', this._compounds.length > 1 ? null : 'none')
+			.selectAll('option')
+			.data(this._compounds)
+			.join('option')
+				.attr('value', d => d.id)
+				.text(d => d.name ? `${d.name} - ${d.id}` : d.id);
+		this._root.select('.rightColumn_bioActivity .select-selectivity-compound')
+			.property('value', this._selectivityCompound)
+			.on('change', function(){
+				self._selectivityCompound = this.value;
+				self.plotSelectivity();
+				self.saveState();
+			});
+		this._root.select('.rightColumn_bioActivity .input-threshold')
+			.property('value', this._selectivity.getThreshold())
+			.on('change', function(){
+				self._selectivity.setThreshold(+this.value);
+				self.plotSelectivity();
+				self.saveState();
+			});
+		this._root.select('.rightColumn_bioActivity .select-heatmap-order')
+			.selectAll('option')
+			.data(Object.keys(HEATMAP_ORDERS))
+			.join('option')
+				.attr('value', d => d)
+				.text(d => HEATMAP_ORDERS[d]);
+		this._root.select('.rightColumn_bioActivity .select-heatmap-order')
+			.property('value', this._heatmap.getOrder())
+			.on('change', function(){
+				self._heatmap.setOrder(this.value);
+				self.plotHeatmap();
+				self.saveState();
+			});
+		this._root.select('.rightColumn_bioActivity .select-heatmap-type')
+			.on('change', function(){
+				self._heatmap.setType(this.value);
+				self.plotHeatmap();
+				self.saveState();
+			});
+		/* X axis grouping */
+		['select-xaxis', 'select-dodge'].forEach(cls => {
+			this._root.select(`.rightColumn_bioActivity .${cls}`)
+				.selectAll('option.field')
+				.data(this.availableFields(CATEGORICAL_FIELDS))
+				.join('option')
+					.classed('field', true)
+					.attr('value', d => d)
+					.text(d => FIELD_LABELS[d]);
+		});
+		this._root.select('.rightColumn_bioActivity .select-xaxis')
+			.property('value', this._xField);
+		this._root.select('.rightColumn_bioActivity .select-dodge')
+			.property('value', this._dodgeField || '');
+		this._root.selectAll('.rightColumn_bioActivity .select-xaxis, .rightColumn_bioActivity .select-dodge')
+			.on('change', function(){
+				self.setXAxis(
+					self._root.select('.rightColumn_bioActivity .select-xaxis').property('value'),
+					self._root.select('.rightColumn_bioActivity .select-dodge').property('value')
+				);
+			});
+		this._root.select('.rightColumn_bioActivity .select-yaxis')
+			.on('change', function(){ self.setYAxisMode(this.value); });
+		/* Aggregation of replicates */
+		let options = (cls, labels) => {
+			this._root.select(`.rightColumn_bioActivity .${cls}`)
+				.selectAll('option.option')
+				.data(Object.keys(labels))
+				.join('option')
+					.classed('option', true)
+					.attr('value', d => d)
+					.text(d => labels[d]);
+		};
+		options('select-statistic', STATISTICS);
+		options('select-spread', SPREADS);
+		this._root.select('.rightColumn_bioActivity .select-statistic')
+			.property('value', this._aggregation.statistic);
+		this._root.select('.rightColumn_bioActivity .select-spread')
+			.property('value', this._aggregation.spread);
+		this._root.select('.rightColumn_bioActivity .cb-violin-raw')
+			.property('checked', this._aggregation.violinRaw);
+		this._root.selectAll('.rightColumn_bioActivity .aggregate-div select, .rightColumn_bioActivity .aggregate-div input')
+			.on('change', function(){
+				self.setAggregation({
+					statistic: self._root.select('.rightColumn_bioActivity .select-statistic').property('value'),
+					spread: self._root.select('.rightColumn_bioActivity .select-spread').property('value'),
+					violinRaw: self._root.select('.rightColumn_bioActivity .cb-violin-raw').property('checked')
+				});
+			});
+		/* Visual aids */
+		this._root.select('.rightColumn_bioActivity .cb-violin')
+			.on('change', function(){
+				self.updatePointPositions();
+				self.plotData();
+				self.plotDistributions();
+				self.saveState();
+			});
+		this._root.selectAll('.rightColumn_bioActivity .cb-box, .rightColumn_bioActivity .cb-markers')
+			.on('change', function(){
+				self.plotDistributions();
+				self.saveState();
+			});
+		this._root.select('.rightColumn_bioActivity .input-bandwidth')
+			.property('value', this._bandwidth)
+			.on('change', function(){
+				self._bandwidth = +this.value;
+				self.initDistributions();
+				self.plotDistributions();
+				self.saveState();
+			});
+		this._root.select('.rightColumn_bioActivity .cb-jitter')
+			.on('change', function(){
+				self.updatePointPositions();
+				self.plotData();
+				self.saveState();
+			});
+		this._root.select('.rightColumn_bioActivity .cb-censored')
+			.on('change', function(){
+				self.plotData();
+				self.saveState();
+			});
+		this._root.select('.rightColumn_bioActivity .cb-violin-censored')
+			.on('change', function(){
+				self.initDistributions();
+				self.plotDistributions();
+				self.saveState();
+			});
 		/* Modal inputs */
-		d3.selectAll('#bioActivityGraph div.im-modal div#panel-body-category')
+		this._root.select('.bioActivityGraph div.im-modal div.panel-body-category')
+			.selectAll('label')
+			.data(this.availableFields(Object.keys(FIELD_LABELS)))
+			.join('label')
+				.classed('row-label', true)
+				.html((d, i) => `<input type="radio" name="radio-category" value="${d}"${i === 0 ? ' checked' : ''}>\n${FIELD_LABELS[d]}`);
+		this._root.selectAll('.bioActivityGraph div.im-modal div.panel-body-category')
 			.on('change', function(){ self.updateModalOptions(); })
 			.dispatch('change');
-		d3.select('#modal-apply').on('click', function(){ self.modalOK(); });
-		d3.select('#bioActivityGraph div.im-modal a.close')
+		this._root.select('.modal-apply').on('click', function(){ self.modalOK(); });
+		this._root.select('.bioActivityGraph div.im-modal a.close')
 			.on('click', function(){
-				d3.select('#bioActivityGraph div.im-modal')
+				self._root.select('.bioActivityGraph div.im-modal')
 					.style('display', 'none');
 			});
+		/* Export options */
+		this._root.select('.rightColumn_bioActivity .export-svg')
+			.on('click', function(){ self.exportSVG(); });
+		this._root.select('.rightColumn_bioActivity .export-png')
+			.on('click', function(){
+				let scale = self._root.select('.rightColumn_bioActivity .select-png-scale').property('value');
+				self.exportPNG(+scale);
+			});
+		this._root.select('.rightColumn_bioActivity .export-data')
+			.on('click', function(){
+				let format = self._root.select('.rightColumn_bioActivity .select-data-format').property('value');
+				self.exportData(format);
+			});
+		/* the modal is a form only to keep its radio groups local to this
+		 * instance, it should never be submitted */
+		this._root.select('.bioActivityGraph form.im-modal-content')
+			.on('submit', event => event.preventDefault());
+		/* the context menu is closed by any click, including on its links */
+		this._root.select('div.bioActivityGraph')
+			.on('click.menu', () => this.hideMenu());
+		this._root.select('div.bioActivity-menu')
+			.on('mouseleave', () => this.hideMenu());
 	}
 
 	/**
-	 * Initialize the graph's data distribution bins
-	 * Histogram bins are used for the display of violin of the data. A single
-	 * violin plot is associated to each tick along the xAxis of the graph.
-	 * tic
+	 * Retrieve the SVG element of the visualization currently displayed
 	 *
-	 * @param {number} nBins The number of bins to use. Default value 10
+	 * @returns {object} The d3 selection of the SVG element
 	 */
-	initHistogramBins(nBins=10){
-		let self = this;
-		/* function used to define the number of bins and the bounds for each of
-			* them */
-		let histogram = d3.bin()
-			.domain(self._yAxis.scale().domain())
-			.thresholds(self._yAxis.scale().ticks(nBins))
-			.value(d => d);
-		/* actually bin the data points */
-		this._bins = d3.rollup(
-			self._data,
-			p => {
-				let input = p.map( g => g.value);
-				let bins = histogram(input);
-				return bins;
-			},
-			d => d.type
+	activeSVG() {
+		let svg = { selectivity: 'canvas_selectivity', heatmap: 'canvas_heatmap' }[this._view];
+		return this._root.select(`svg.${svg || 'canvas_bioActivity'}`);
+	}
+
+	/**
+	 * Retrieve the points displayed in the graph
+	 * Depending on the current aggregation settings, these are either the raw
+	 * measurements or one summary point per target protein and activity type.
+	 *
+	 * @returns {array} The points to display
+	 */
+	aggregateData() {
+		let { statistic, spread } = this._aggregation;
+		if (!(statistic in STATISTICS)) return this._raw;
+		return aggregatePoints(this._raw, statistic, spread);
+	}
+
+	/**
+	 * Apply a new set of filters to the loaded points
+	 * Axes, positions, styles and violins are all recomputed from the points
+	 * that pass the filters. Style rules are kept, so that they apply again to
+	 * points that are displayed once more.
+	 *
+	 * @param {object} filters The filters, as used by filterPoints
+	 */
+	applyFilters(filters) {
+		this._filters = filters;
+		this._raw = filterPoints(this._loaded, filters);
+		this._data = this.aggregateData();
+		this._selected = this._selected.filter(d => this._data.includes(d));
+		this.updatePointColors();
+		this.updatePointShapes();
+		this.updateLayout();
+		this.resetView();
+		this.updateTableSelection();
+		this.plotData();
+		this.plotDistributions();
+		this.plotColorLegend();
+		this.saveState();
+	}
+
+	/**
+	 * Style every distinct value of a field automatically
+	 * The current color or shape rules are replaced by one rule per value, using
+	 * a categorical color palette or the available shapes. Values of every
+	 * loaded point are styled, so that points hidden by the filters keep their
+	 * style once displayed.
+	 *
+	 * @param {string} type Either 'color' or 'shape'
+	 * @param {string} field The field whose values are styled
+	 */
+	applyPalette(type, field) {
+		if (type === 'color') {
+			this._colors = paletteRules(this._loaded, field, d3.schemeTableau10);
+			this.updatePointColors();
+			this.updateTableColor();
+		}
+		else {
+			this._shapes = paletteRules(this._loaded, field, SHAPES);
+			this.updatePointShapes();
+			this.updateTableShape();
+		}
+		this.plotData();
+		this.saveState();
+	}
+
+	/**
+	 * Filter a list of fields to those available in the loaded points
+	 * Optional fields, such as the assay metadata, are not offered as choices
+	 * when no point includes them.
+	 *
+	 * @param {array} fields The names of the fields
+	 * @returns {array} The fields with a value in at least one point
+	 */
+	availableFields(fields) {
+		return fields.filter(f => this._loaded.some(p => p[f] !== undefined && p[f] !== null));
+	}
+
+	/**
+	 * Retrieve the external links of a category of the X axis
+	 * Links are only available for fields that identify an entity, such as a
+	 * protein or a compound.
+	 *
+	 * @param {string} category The value of the X axis field
+	 * @returns {array} A list of { label, url } objects
+	 */
+	categoryLinks(category) {
+		let scope = FIELD_SCOPES[this._xField];
+		if (scope === undefined) return [];
+		let links = this._data
+			.filter(p => p[this._xField] === category)
+			.flatMap(p => resolveLinks(this._links[scope], p));
+		/* a category can include several points of the same entity */
+		return [...new Map(links.map(l => [l.url, l])).values()];
+	}
+
+	/**
+	 * Retrieve the horizontal band assigned to a group of points
+	 *
+	 * @param {string} group The value of the X axis field
+	 * @param {string} dodge The value of the dodge field, if any
+	 * @returns {array} The start and width of the band, in graph coordinates
+	 */
+	bandOf(group, dodge) {
+		let X = this._xAxis.scale();
+		if (!this._dodge) return [X(group), X.bandwidth()];
+		return [X(group) + this._dodge(dodge), this._dodge.bandwidth()];
+	}
+
+	/**
+	 * Download the data points displayed in the graph
+	 *
+	 * @param {string} format Either 'csv' or 'tsv'. Default value 'csv'
+	 */
+	exportData(format='csv') {
+		let columns = [
+			'organism',
+			'primaryAccession',
+			'symbol',
+			'type',
+			'relation',
+			'conc',
+			'unit',
+			'value_nM',
+			'assay',
+			'assayType',
+			'document',
+			'year',
+			'color',
+			'shape'
+		];
+		/* make it clear which column holds the normalized values */
+		let rows = this._data.map(d => ({ ...d, value_nM: d.value }));
+		let text = toDelimited(rows, columns, format === 'tsv' ? '\t' : ',');
+		let type = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+		saveAs(
+			new Blob([text], { type: `${type};charset=utf-8` }),
+			`bioactivity-${this._compound}.${format}`
 		);
 	}
 
+	/**
+	 * Download the graph as a PNG image
+	 *
+	 * @param {number} scale The resolution of the image, relative to the size of
+	 * the graph. Default value 2
+	 * @returns {Promise} A promise resolved once the image is saved, or with
+	 * the reason it could not be rendered, which is displayed to the user
+	 */
+	exportPNG(scale=2) {
+		let svg = this.activeSVG().node();
+		let error = this._root.select('.rightColumn_bioActivity .export-error')
+			.style('display', 'none');
+		/* errors serializing the graph are reported as well */
+		return Promise.resolve()
+			.then(() => svgToPNG(svg, scale))
+			.then(blob => saveAs(blob, `bioactivity-${this._compound}.png`))
+			.catch(e => {
+				error
+					.style('display', null)
+					.text(`Unable to export the PNG image: ${e.message || e}`);
+			});
+	}
+
+	/**
+	 * Download the graph as an SVG image
+	 */
+	exportSVG() {
+		let svg = this.activeSVG().node();
+		saveAs(
+			new Blob([serializeSVG(svg)], { type: 'image/svg+xml;charset=utf-8' }),
+			`bioactivity-${this._compound}.svg`
+		);
+	}
+
+	/**
+	 * Hide the context menu of links
+	 */
+	hideMenu() {
+		this._root.select('div.bioActivity-menu')
+			.style('display', 'none');
+	}
+
+	/**
+	 * Hide the tooltip displayed for data points
+	 */
+	hideTooltip() {
+		this._root.select('div.bioActivity-tooltip')
+			.style('display', 'none');
+	}
+
+	/**
+	 * Initialize the continuous color scale used to color data points
+	 * Concentrations are mapped in log space. Diverging scales are centered on
+	 * the median value of the field.
+	 *
+	 * @returns {function} The color scale, or undefined if colors are assigned
+	 * using rules
+	 */
+	initColorScale() {
+		if (!this._colorScale) return undefined;
+		let { field, scheme } = this._colorScale;
+		let values = this._data.map(d => d[field]).filter(Number.isFinite);
+		if (values.length === 0) return undefined;
+		let [min, max] = d3.extent(values);
+		/* higher potency should always be drawn using the same end of the scale */
+		let reverse = field === 'value';
+		let log = field === 'value';
+		if (scheme === 'diverging') {
+			let mid = d3.median(values);
+			let domain = reverse ? [max, mid, min] : [min, mid, max];
+			return (log ? d3.scaleDivergingLog() : d3.scaleDiverging())
+				.domain(domain)
+				.interpolator(d3.interpolateRdBu);
+		}
+		return (log ? d3.scaleSequentialLog() : d3.scaleSequential())
+			.domain(reverse ? [max, min] : [min, max])
+			.interpolator(d3.interpolateViridis);
+	}
+
+	/**
+	 * Initialize the distributions of the graph's data
+	 * A distribution is associated to each tick along the xAxis of the graph, or
+	 * to each dodged group within it. Distributions are estimated in log space,
+	 * using a gaussian kernel whose bandwidth is Silverman's estimate scaled by
+	 * the bandwidth adjustment of the graph. Box plot statistics are also
+	 * computed in log space, so that their mean is the geometric mean.
+	 * Censored values (those reported with a relation other than '=') are only
+	 * included when requested. When replicates are aggregated, distributions
+	 * are built from either the raw or the aggregated values.
+	 *
+	 * @param {boolean} censored Whether censored values are included in the
+	 * distributions. Defaults to the state of the corresponding checkbox
+	 */
+	initDistributions(censored=undefined){
+		if (censored === undefined)
+			censored = this._root.select('.rightColumn_bioActivity .cb-violin-censored').property('checked');
+		let points = this._aggregation.violinRaw ? this._raw : this._data;
+		let keys = [d => d[this._xField]];
+		if (this._dodge) keys.push(d => d[this._dodgeField]);
+		this._distributions = d3.flatRollup(
+			points.filter(d => censored || !d.censored),
+			p => p.map(d => Math.log10(d.value)),
+			...keys
+		).map(([group, ...rest]) => {
+			let values = rest[rest.length - 1];
+			let bandwidth = silvermanBandwidth(values) * this._bandwidth;
+			let [min, max] = d3.extent(values);
+			/* extend the density until it fades out on both ends */
+			let grid = d3.range(50).map(i => min - 3 * bandwidth + i * (max - min + 6 * bandwidth) / 49);
+			return {
+				group,
+				dodge: this._dodge ? rest[0] : undefined,
+				density: kernelDensity(values, bandwidth, grid),
+				stats: boxStats(values)
+			};
+		});
+		this.updateTableStatistics();
+	}
+
 	/**
 	 * Initialize the X axis of the graph
 	 * As the X axis will be ordinal, in order to generate the list of ticks in
-	 * the axis, we use the current this._xLabels
+	 * the axis, we use the values of the current X axis field
 	 */
 	initXAxis() {
-		let labels = this._data.reduce((p,c) => p.add(c.type), new Set());
+		let labels = this._raw.reduce((p,c) => p.add(c[this._xField]), new Set());
 		/* use the scaleBand scale provided by D3 */
 		let scale = d3.scaleBand()
 			.domain([...labels.keys()])
 			.range([0, this._width - this._margin.left - this._margin.right])
 			.padding(0.05);
-		return d3.axisBottom(scale);
+		let truncate = l => `${l}`.length > LABEL_LENGTH ? `${l}`.slice(0, LABEL_LENGTH - 1) + '…' : l;
+		return d3.axisBottom(scale).tickFormat(truncate);
 	}
 
 	/**
 	 * Initialize the Y axis of the graph
-	 * The Y axis will always be numerical with a logarithmic scale.
+	 * The Y axis will always be numerical, and its scale depends on the current
+	 * mode: logarithmic or linear for concentrations, or linear for pActivity
+	 * values.
 	 * The axis will be generated based on the min and max bioactivity values
 	 * found in the list of target proteins
 	 */
 	initYAxis() {
 		/* find the min and max bioactivity values values*/
-		let [min,max] = this._data.reduce((p,c) => {
-			p[0] = Math.min(c.value, p[0]);
-			p[1] = Math.max(c.value, p[1]);
-			return p;
-		}, [+Infinity, -Infinity]);
-		/* initialize the logarithmic scale */
-		let scale = d3
-			.scaleLog()
+		/* keep a valid axis even when no point passes the filters */
+		let points = this._raw.length ? this._raw : this._loaded;
+		let [min,max] = d3.extent(points, d => this.yValue(d));
+		let range = [this._height - this._margin.bottom, this._margin.top];
+		if (this._yMode === 'log') {
+			/* initialize the logarithmic scale */
+			let scale = d3.scaleLog()
+				.domain([min, max])
+				.range(range)
+				.nice();
+			return d3.axisLeft(scale).ticks(10, '~g');
+		}
+		/* linear concentration values start from 0 */
+		if (this._yMode === 'linear') min = 0;
+		let scale = d3.scaleLinear()
 			.domain([min, max])
-			.range([this._height - this._margin.bottom, this._margin.top])
+			.range(range)
 			.nice();
 		return d3.axisLeft(scale).ticks(10, '~g');
 	}
 
+	/**
+	 * Initialize the zoom and brush interactions of the graph
+	 * Zooming (mouse wheel while holding Ctrl or Cmd) and panning (drag) only
+	 * affect the Y axis. The wheel alone scrolls the page, as the tool is
+	 * embedded in report pages. When the selection mode is active, dragging
+	 * selects the points within a rectangular region instead, and lists them in
+	 * the selection table.
+	 */
+	initZoom() {
+		let self = this;
+		let svg = this._root.select('svg.canvas_bioActivity');
+		/* points and violins are clipped to the area of the graph */
+		let defs = svg.select('defs').empty() ? svg.insert('defs', ':first-child') : svg.select('defs');
+		defs.append('clipPath')
+			.attr('id', `${this._uid}-clip`)
+			.append('rect');
+
+		this._zoom = d3.zoom()
+			.scaleExtent([1, 1000])
+			.filter(event => event.type === 'wheel' ?
+				event.ctrlKey || event.metaKey :
+				!event.ctrlKey && !event.button)
+			.on('zoom', function(event) {
+				self._yTransform = event.transform;
+				self.updatePointPositions();
+				self.plotYAxis();
+				self.plotData();
+				self.plotDistributions();
+			});
+		svg.call(this._zoom);
+
+		this._brush = d3.brush()
+			.on('end', function(event) { self.selectPoints(event.selection); });
+		svg.select('g.graph').append('g')
+			.attr('class', 'brush')
+			.style('display', 'none');
+		this.updateZoomExtent();
+
+		this._root.select('.rightColumn_bioActivity .cb-brush')
+			.on('change', function(){
+				svg.select('g.brush').style('display', this.checked ? null : 'none');
+				if (!this.checked) svg.select('g.brush').call(self._brush.move, null);
+			});
+		this._root.select('.rightColumn_bioActivity .reset-view')
+			.on('click', function(){ self.resetView(); });
+	}
+
+	/**
+	 * Redraw the graph when the size of its container changes
+	 * A ResizeObserver is used when available, and the resize events of the
+	 * window otherwise.
+	 */
+	initResize() {
+		let container = this._root.select('div.bioActivityGraph').node();
+		if (typeof ResizeObserver === 'function') {
+			this._resizeObserver = new ResizeObserver(() => this.resize());
+			this._resizeObserver.observe(container);
+		}
+		else {
+			this._onResize = () => this.resize();
+			window.addEventListener('resize', this._onResize);
+			this.resize();
+		}
+	}
+
+	/**
+	 * Initialize the margins around the graph
+	 * X axis labels are rotated when the longest of them does not fit within
+	 * its band, in which case the bottom margin grows to make room for them.
+	 * The left margin makes room for the legend of a continuous color scale.
+	 *
+	 * @returns {object} The 'top', 'right', 'bottom' and 'left' margins
+	 */
+	initMargins() {
+		let labels = [...new Set(this._raw.map(d => `${d[this._xField]}`))];
+		let longest = Math.min(d3.max(labels, l => l.length) || 0, LABEL_LENGTH) * CHAR_WIDTH;
+		let left = 40 + this.legendWidth();
+		let step = (this._width - left - 40) / Math.max(labels.length, 1);
+		this._rotateLabels = longest > step;
+		let bottom = this._rotateLabels ? 40 + Math.round(longest * Math.SQRT1_2) : 40;
+		return { top: 40, right: 40, bottom, left };
+	}
+
+	/**
+	 * Retrieve the width reserved for the legend of the color scale
+	 *
+	 * @returns {number} The width, in pixels, or 0 if colors are assigned
+	 * using rules
+	 */
+	legendWidth() {
+		return this._colorScale !== undefined ? LEGEND_WIDTH : 0;
+	}
+
 	/**
 	 * Load data for graph display
-	 * Data is provided by TargetMine in the form of an Array of Target Protein
-	 * objects. Each of these needs to be processed in order to retrieve the
-	 * bioactivity values associated with each.
+	 * Each activity record is converted into a data point, with its
+	 * concentration normalized to nM. Activities whose value can not be
+	 * converted are not returned, but stored in this._excluded together with
+	 * the reason for their exclusion.
 	 *
-	 * @param {array} proteins The array containing all the target protein objects
+	 * @param {array} records The list of ActivityRecord
 	 * @returns The array of points representing all the bioactivity values found
 	 */
-	loadData(proteins) {
+	loadData(records) {
 		/* we will store all bioactivity values in a single array of points */
 		let points = [];
-		proteins.forEach(p => {
-			p.activities.forEach(a => {
-				let point = {
-					symbol: p.protein.symbol,
-					primaryAccession: p.protein.primaryAccession,
-					organism: p.protein.organism.name,
-					value: a.conc,
-					type: a.type,
-					unit: a.unit
-				};
-				points.push(point);
-			});
+		records.forEach(r => {
+			let point = {
+				...r,
+				/* targets without a gene symbol are labelled by their accession */
+				symbol: r.symbol || r.primaryAccession,
+				...parseRelation(r.relation)
+			};
+			let { value, reason } = toNanoMolar(r.conc, r.unit);
+			if (value === undefined) {
+				this._excluded.push({ ...point, reason });
+				return;
+			}
+			point.value = value;
+			point.pActivity = toPActivity(value);
+			/* a fixed random offset, so that jittered points keep their position */
+			point.jitter = Math.random();
+			points.push(point);
 		});
+		/* the number of measurements available for each target */
+		let counts = d3.rollup(points, v => v.length, d => d.primaryAccession);
+		points.forEach(p => p.measurements = counts.get(p.primaryAccession));
 		return points;
 	}
 
+	/**
+	 * Measure the area available to the graph
+	 * The SVG elements fill the space left by the controls, so the size of the
+	 * visible one is used. Elements that are not rendered (e.g. in a hidden
+	 * tab) keep the default size of the graph.
+	 *
+	 * @returns {array} The [width, height] of the graph, in pixels
+	 */
+	measure() {
+		let rect = this.activeSVG().node().getBoundingClientRect();
+		if (rect.width < 1 || rect.height < 1) return [this._width, this._height];
+		return [Math.max(200, Math.round(rect.width)), Math.max(200, Math.round(rect.height))];
+	}
+
 	/**
 	 * Display the modal to allow user interaction
 	 *
@@ -178,25 +988,25 @@ export class BioActivityGraph {
 	 */
 	modalDisplay(type){
 		/* Set display to True */
-		let modal = d3.select('#bioActivityGraph div#modal-bioActivity')
+		let modal = this._root.select('.bioActivityGraph div.modal-bioActivity')
 			.attr('data-type', type)
 			.style('display', 'block');
 			
 		/* If adding a color element, define a new color input  */
-		modal.select('h3#panel-title-input')
+		modal.select('h3.panel-title-input')
 			.text(`${type} input`);
 		// define the color or shape input options
 		if( type === 'Color' ){
-			modal.select('#panel-body-input').selectAll('*').remove();
-			modal.select('#panel-body-input').append('input')
-				.attr('id', 'modal-selected')
+			modal.select('.panel-body-input').selectAll('*').remove();
+			modal.select('.panel-body-input').append('input')
+				.classed('modal-selected', true)
 				.property('type', 'color')
 				.property('value', '#000000');
 		}
 		else{
-			let opts = ['Circle','Cross','Diamond','Square','Star','Triangle','Wye'];
-			modal.select('#panel-body-input').selectAll('*').remove();
-			modal.select('#panel-body-input').selectAll('label')
+			let opts = SHAPES;
+			modal.select('.panel-body-input').selectAll('*').remove();
+			modal.select('.panel-body-input').selectAll('label')
 				.data(opts)
 				.join('label')
 					.classed('row-label', true)
@@ -212,121 +1022,445 @@ export class BioActivityGraph {
 	 */
 	modalOK(){
 		/* hide the modal from view */
-		let m = d3.select('#bioActivityGraph .im-modal')
+		let m = this._root.select('.bioActivityGraph .im-modal')
 			.style('display', 'none');
 		/* capture the type of modal and the values that the user selected */
 		let type = m.attr('data-type');
-		let val = d3.select('#bioActivityGraph .im-modal #panel-body-value input:checked').property('value');
+		let field = m.select('.panel-body-category input:checked').property('value');
+		let rule = { field };
+		if (NUMERIC_FIELDS.includes(field)) {
+			let bound = cls => {
+				let v = m.select(`.panel-body-value input.${cls}`).property('value');
+				return v === '' || !Number.isFinite(+v) ? null : +v;
+			};
+			rule.range = [bound('range-min'), bound('range-max')];
+		}
+		else {
+			rule.values = m.selectAll('.panel-body-value input:checked').nodes()
+				.map(n => n.dataset.value);
+		}
 		/* update the corresponding table */
 		if( type === 'Color' ){
-			let upd = d3.select('#bioActivityGraph .im-modal #panel-body-input input').property('value');
-			this._colors.set(val,upd);
+			rule.style = m.select('.panel-body-input input').property('value');
+			if (!isValidRule(rule)) return;
+			this._colors.push(rule);
 			this.updatePointColors();
 			this.updateTableColor();
 		}
 		else{
-			let upd = d3.select('#bioActivityGraph .im-modal #panel-body-input input:checked').property('value');
-			this._shapes.set(val,upd);
+			let shape = m.select('.panel-body-input input:checked');
+			if (shape.empty()) return;
+			rule.style = shape.property('value');
+			if (!isValidRule(rule)) return;
+			this._shapes.push(rule);
 			this.updatePointShapes();
 			this.updateTableShape();
 		}
 		/* redraw the graph */
 		this.plotData();
+		this.saveState();
+	}
+
+	/**
+	 * Navigate to the list of proteins measured for a given X axis category
+	 * The list is displayed as the results page of a query on the proteins'
+	 * internal ids.
+	 *
+	 * @param {string} category The value of the X axis field of the category
+	 */
+	navigateToCategory(category) {
+		if (typeof this._navigate !== 'function') return;
+		let ids = this._data.reduce((p,c) => {
+			if (c[this._xField] === category && c.proteinId !== undefined) p.add(c.proteinId);
+			return p;
+		}, new Set());
+		if (ids.size === 0) return;
+		this._navigate('query', {
+			title: `${category} target proteins`,
+			from: 'Protein',
+			select: [
+				'Protein.primaryAccession',
+				'Protein.symbol',
+				'Protein.name',
+				'Protein.organism.name'
+			],
+			where: [
+				{ path: 'Protein.id', op: 'ONE OF', values: [...ids].map(String) }
+			]
+		});
+	}
+
+	/**
+	 * Navigate to the report page of the protein associated to a data point
+	 *
+	 * @param {object} point The data point selected by the user
+	 */
+	navigateToProtein(point) {
+		if (typeof this._navigate !== 'function' || point.proteinId === undefined)
+			return;
+		this._navigate('report', { type: 'Protein', id: point.proteinId });
+	}
+
+	/**
+	 * Pin the details of a data point in the details panel
+	 * Unlike the tooltip, the panel stays open until closed by the user, so that
+	 * its values can be copied. It also provides the link to the report page of
+	 * the point's protein.
+	 *
+	 * @param {object} point The data point selected by the user
+	 */
+	pinDetails(point) {
+		let self = this;
+		let div = this._root.select('div.rightColumn_bioActivity div.details-div')
+			.style('display', null);
+		div.select('a.row-close')
+			.on('click', function(){ div.style('display', 'none'); });
+		div.select('dl')
+			.call(dl => this.writeDetails(dl, this.pointDetails(point)));
+		div.select('a.details-report')
+			.style('display', this._navigate && point.proteinId !== undefined ? null : 'none')
+			.on('click', function(){ self.navigateToProtein(point); });
+		div.select('div.details-links')
+			.call(links => this.writeLinks(links, this.pointLinks(point)));
+	}
+
+	/**
+	 * Retrieve the external links of a data point
+	 * Links to the compound are only included when several are displayed, as
+	 * otherwise they are available in the header of the graph.
+	 *
+	 * @param {object} point The data point
+	 * @returns {array} A list of { label, url } objects
+	 */
+	pointLinks(point) {
+		return [
+			...(this._compounds.length > 1 ? resolveLinks(this._links.compound, point) : []),
+			...resolveLinks(this._links.protein, point),
+			...resolveLinks(this._links.activity, point)
+		];
+	}
+
+	/**
+	 * Retrieve the details of a data point, in display order
+	 * Optional fields are only included when available.
+	 *
+	 * @param {object} point The data point
+	 * @returns {array} A list of [label, value] pairs
+	 */
+	pointDetails(point) {
+		let relation = point.relation !== '=' ? `${point.relation} ` : '';
+		let value = `${relation}${point.conc} ${point.unit || ''}`.trim();
+		if (point.value !== undefined && d3.format('~g')(point.value) !== `${point.conc}`)
+			value += ` (${d3.format('~g')(point.value)} nM)`;
+		/* the compound is only relevant when several are displayed */
+		let compound = this._compounds.length > 1 ?
+			[point.compoundName, point.compound].filter(v => v).join(' - ') :
+			undefined;
+		return [
+			['Compound', compound],
+			['Protein', point.proteinName],
+			['Accession', point.primaryAccession],
+			['Gene', point.symbol],
+			['Organism', point.organism],
+			['Activity', point.type],
+			['Value', value],
+			['Statistic', STATISTICS[point.statistic]],
+			['Replicates', point.replicates],
+			[
+				SPREADS[this._aggregation.spread],
+				point.replicates > 1 ?
+					`${d3.format('~g')(point.low)} - ${d3.format('~g')(point.high)} nM` :
+					undefined
+			],
+			['Assay', point.assay],
+			['Assay type', ASSAY_TYPES[point.assayType] || point.assayType],
+			['Description', point.assayDescription],
+			['Document', point.document],
+			['Year', point.year]
+		].filter(([, v]) => v !== undefined && v !== null && v !== '');
+	}
+
+	/**
+	 * Plot the legend of the continuous color scale
+	 * The legend is drawn as a gradient bar in the space reserved to the left
+	 * of the Y axis (see initMargins), with the same height as the axis.
+	 */
+	plotColorLegend() {
+		let svg = this._root.select('svg.canvas_bioActivity');
+		svg.select('g.color-legend').remove();
+		svg.select(`linearGradient#${this._uid}-gradient`).remove();
+		let scale = this.initColorScale();
+		if (!scale) return;
+
+		let [top, bottom] = [this._margin.top, this._height - this._margin.bottom];
+		let domain = scale.domain();
+		let [min, max] = d3.extent(domain);
+		/* a scale for the axis of the legend, matching the one used for colors */
+		let axisScale = (this._colorScale.field === 'value' ? d3.scaleLog() : d3.scaleLinear())
+			.domain([min, max])
+			.range([bottom, top]);
+		/* the gradient goes from the bottom (min) to the top (max) of the bar */
+		let defs = svg.select('defs').empty() ? svg.insert('defs', ':first-child') : svg.select('defs');
+		defs.append('linearGradient')
+			.attr('id', `${this._uid}-gradient`)
+			.attr('x1', 0).attr('y1', 1)
+			.attr('x2', 0).attr('y2', 0)
+			.selectAll('stop')
+			.data(d3.range(11).map(i => i / 10))
+			.join('stop')
+				.attr('offset', t => t)
+				.attr('stop-color', t => scale(axisScale.invert(bottom - t * (bottom - top))));
+
+		/* the legend is placed in the space reserved to the left of the Y axis */
+		let legend = svg.select('g.graph').append('g')
+			.attr('class', 'color-legend')
+			.attr('transform', 'translate(4, 0)');
+		legend.append('rect')
+			.attr('x', 0)
+			.attr('y', top)
+			.attr('width', 8)
+			.attr('height', bottom - top)
+			.attr('fill', `url(#${this._uid}-gradient)`);
+		legend.append('g')
+			.attr('transform', 'translate(8, 0)')
+			.call(d3.axisRight(axisScale).ticks(5, '~g').tickSize(3));
+		legend.append('text')
+			.attr('class', 'color-legend-title')
+			.attr('x', 0)
+			.attr('y', top - 6)
+			.text(FIELD_LABELS[this._colorScale.field]);
 	}
 
 	/**
 	 * Plot a BioActivity Graph
+	 * Censored values are drawn as open markers. Upper and lower bounds also
+	 * include an arrow pointing in the direction of the actual value.
+	 * When more than BioActivityGraph.CANVAS_THRESHOLD points are displayed,
+	 * they are drawn on a canvas instead of as SVG elements, so that redrawing
+	 * them does not rebuild the DOM.
 	 */
 	plotData() {
+		let showCensored = this._root.select('.rightColumn_bioActivity .cb-censored').property('checked');
+		let Y = this.yScale();
+		let points = this._data.filter(d => showCensored || !d.censored);
+		/* the arrow points towards larger or smaller values, in screen space */
+		let arrow = d => Math.sign(Y(this.yValue({ value: d.value * 10 })) - d.y) * (d.bound === 'lower' ? 1 : -1);
 		/* draw the points, grouped in a single graphics element  */
-		d3.select('svg#canvas_bioActivity g#points')
-			.attr('transform', 'translate(' + this._margin.left + ', 0)');
+		this._root.select('svg.canvas_bioActivity g.points')
+			.attr('transform', 'translate(' + this._margin.left + ', 0)')
+			.attr('clip-path', `url(#${this._uid}-clip)`);
+
+		/* aggregated points display the spread of their replicates */
+		this._root.select('svg.canvas_bioActivity g.error-bars')
+			.attr('transform', 'translate(' + this._margin.left + ', 0)')
+			.attr('clip-path', `url(#${this._uid}-clip)`)
+			.selectAll('path')
+			.data(points.filter(d => d.replicates > 1))
+			.join('path')
+				.attr('class', 'error-bar')
+				.attr('stroke', d => d.color)
+				.attr('d', d => {
+					let low = Y(this.yValue({ value: d.low }));
+					let high = Y(this.yValue({ value: d.high }));
+					return `M${d.x},${low}V${high}` +
+						`M${d.x - 4},${low}H${d.x + 4}` +
+						`M${d.x - 4},${high}H${d.x + 4}`;
+				});
+
+		if (points.length > BioActivityGraph.CANVAS_THRESHOLD && this._canvas === undefined)
+			this._canvas = canvasSupported() ?
+				new PointCanvas(this._root.select('svg.canvas_bioActivity g.graph'), {
+					onHover: (event, d) => this.showTooltip(event, d),
+					onLeave: () => this.hideTooltip(),
+					onClick: (event, d) => this.pinDetails(d),
+					onContextMenu: (event, d) => this.showMenu(event, this.pointLinks(d))
+				}) :
+				null;
+		let canvas = points.length > BioActivityGraph.CANVAS_THRESHOLD && this._canvas;
+		if (canvas) {
+			this._root.select('svg.canvas_bioActivity g.points').selectAll('path').remove();
+			this._canvas.setSize(this._width, this._height, this._margin);
+			this._canvas.draw(points, { selected: this._selected, arrow });
+		}
+		else if (this._canvas) {
+			this._canvas.clear();
+		}
 
 		/* Each data point will be d3 symbol (represented using svg paths) 
 		 * each point belongs to the 'data-point' class its positioned in the graph
 		 * according to the associated (x,y) coordinates and its drawn using its
 		 * color and shape */
-		d3.select('svg#canvas_bioActivity g#points').selectAll('path')
-			.data(this._data)
+		let symbols = new Map(SHAPES.map((s, i) => [s, d3.symbol().size(50).type(d3.symbols[i])()]));
+		this._root.select('svg.canvas_bioActivity g.points').selectAll('path')
+			.data(canvas ? [] : points)
 			.join('path')
 				.attr('class', 'data-point')
+				.classed('censored', d => d.censored)
+				.classed('selected', d => this._selected.includes(d))
+				.on('mouseover mousemove', (event, d) => this.showTooltip(event, d))
+				.on('mouseout', () => this.hideTooltip())
+				.on('click', (event, d) => this.pinDetails(d))
+				.on('contextmenu', (event, d) => this.showMenu(event, this.pointLinks(d)))
 				.attr('transform', d => 'translate(' + d.x + ' ' + d.y + ')')
-				.attr('fill', d => d.color)
-				.attr('d', function(d) {
-					let s = [
-						'Circle',
-						'Cross',
-						'Diamond',
-						'Square',
-						'Star',
-						'Triangle',
-						'Wye'
-					];
-					let symbol = d3.symbol().size(50).type(d3.symbols[s.indexOf(d.shape)]);
-					return symbol();
-				})
-			/* each point will also have an associated svg title (tooltip) */
-			.append('svg:title').text(d => {
-				return (
-					'Organism: '+d.organism+'\n'+
-					'Gene: '+d.symbol+'\n'+
-					'Concentation: '+d.value+'nM'
-				);
-			});
+				.attr('fill', d => d.censored ? 'none' : d.color)
+				.attr('stroke', d => d.censored ? d.color : null)
+				.attr('d', d => {
+					let symbol = symbols.get(d.shape) || symbols.get('Circle');
+					if (d.bound !== 'upper' && d.bound !== 'lower') return symbol;
+					let dir = arrow(d);
+					return symbol +
+						`M0,${dir * 4}V${dir * 12}` +
+						`M-3,${dir * 9}L0,${dir * 12}L3,${dir * 9}`;
+				});
+		/* the selectivity view shares the styles of the data points */
+		if (this._view === 'selectivity') this.plotSelectivity();
+		if (this._view === 'heatmap') this.plotHeatmap();
 	}
-	
+
 	/**
-	 *
+	 * Plot the distributions of the data points
+	 * Violins are drawn to the right of each group, with a width proportional
+	 * to the number of points in it. Box plots and markers of the median and
+	 * geometric mean are drawn at the center of each group.
 	 */
-	plotViolins(){
-		/* add violin strips if requested */
-		d3.select('svg#canvas_bioActivity g#violins').remove();
-		if(!d3.select('#rightColumn_bioActivity #cb-violin').property('checked')) return; 
+	plotDistributions(){
+		let checked = cls => this._root.select(`.rightColumn_bioActivity .${cls}`).property('checked');
+		this._root.select('svg.canvas_bioActivity g.violins').remove();
+		this._root.select('svg.canvas_bioActivity g.boxes').remove();
 		let X = this._xAxis.scale();
-		let Y = this._yAxis.scale();
-		
-		// What is the biggest number of value in a bin? We need it cause this value
-		// will have a width of 100% of the bandwidth.
-		let maxNum = 0;
-		this._bins.forEach(d => {
-			let lengths = d.map(g => g.length);
-			let longest = d3.max(lengths);
-			maxNum = longest > maxNum ? longest : maxNum;
-		});
-		let xNum = d3.scaleLinear()
-			.range([0, X.bandwidth()])
-			.domain([-maxNum, maxNum]);
-
-		d3.select('svg#canvas_bioActivity g#graph')
+		if (X.domain().length === 0) return;
+		let Y = this.yScale();
+		/* position a value in log space along the Y axis */
+		let y = v => Y(this.yValue({ value: Math.pow(10, v) }));
+		let width = this.bandOf(X.domain()[0], this._dodge ? this._dodge.domain()[0] : undefined)[1];
+		let group = (cls) => this._root.select('svg.canvas_bioActivity g.graph')
 			.append('g')
-			.attr('id', 'violins')
+			.attr('class', cls)
 			.attr('transform', 'translate('+this._margin.left+', 0)')
+			.attr('clip-path', `url(#${this._uid}-clip)`)
 			.selectAll('g')
-				.data(this._bins)
-				.join('g')        // So now we are working group per group
-					.classed('violin', true)
-					.attr('transform', d => 'translate(' + (X(d[0])+(X.bandwidth()/10)) +' ,0)')
-					.append('path')
-						.datum(d => d[1]) //extract only the bins
-						.attr('class', 'violin')
-						.attr('d', d3.area()
-							.x0( xNum(0) )
-							.x1(function(d){ return(xNum(d.length)); } )
-							.y(function(d){ return(Y(d.x0)); } )
-							.curve(d3.curveCatmullRom)    // This makes the line smoother to give the violin appearance. Try d3.curveStep to see the difference
-						);
+			.data(this._distributions)
+			.join('g');
+
+		if (checked('cb-violin')) {
+			/* the most populated group uses the full width available */
+			let maxDensity = d3.max(this._distributions, d => d.stats.n * d3.max(d.density, p => p[1]));
+			let xNum = d3.scaleLinear()
+				.range([0, width])
+				.domain([-maxDensity, maxDensity]);
+			group('violins')
+				.classed('violin', true)
+				.attr('transform', d => 'translate(' + (this.bandOf(d.group, d.dodge)[0]+(width/10)) +' ,0)')
+				.append('path')
+					.datum(d => d.density.map(([v, p]) => [v, p * d.stats.n]))
+					.attr('class', 'violin')
+					.attr('d', d3.area()
+						.x0(xNum(0))
+						.x1(d => xNum(d[1]))
+						.y(d => y(d[0]))
+						.curve(d3.curveBasis)
+					);
+		}
+
+		let box = checked('cb-box');
+		let markers = checked('cb-markers');
+		if (!box && !markers) return;
+		let w = width / 8;
+		let boxes = group('boxes')
+			.attr('transform', d => 'translate(' + (this.bandOf(d.group, d.dodge)[0] + width / 2) + ' ,0)');
+		if (box) {
+			boxes.append('path')
+				.attr('class', 'whisker')
+				.attr('d', d => {
+					let [low, high] = d.stats.whiskers.map(y);
+					return `M0,${low}V${y(d.stats.q1)}M0,${y(d.stats.q3)}V${high}` +
+						`M${-w / 2},${low}H${w / 2}M${-w / 2},${high}H${w / 2}`;
+				});
+			boxes.append('rect')
+				.attr('class', 'box')
+				.attr('x', -w)
+				.attr('width', 2 * w)
+				.attr('y', d => Math.min(y(d.stats.q1), y(d.stats.q3)))
+				.attr('height', d => Math.abs(y(d.stats.q1) - y(d.stats.q3)));
+			boxes.append('line')
+				.attr('class', 'box-median')
+				.attr('x1', -w)
+				.attr('x2', w)
+				.attr('y1', d => y(d.stats.median))
+				.attr('y2', d => y(d.stats.median));
+		}
+		/* median and mean markers are only drawn when requested */
+		if (markers) {
+			boxes.append('line')
+				.attr('class', 'median-marker')
+				.attr('x1', -w)
+				.attr('x2', w)
+				.attr('y1', d => y(d.stats.median))
+				.attr('y2', d => y(d.stats.median));
+			boxes.append('path')
+				.attr('class', 'mean-marker')
+				.attr('transform', d => `translate(0, ${y(d.stats.mean)})`)
+				.attr('d', d3.symbol().type(d3.symbolDiamond).size(30));
+		}
+	}
+
+	/**
+	 * Plot the compound by target heatmap
+	 * The activity types available are those of the raw measurements; when the
+	 * selected type is no longer available, the most frequent one is used.
+	 */
+	plotHeatmap() {
+		let showCensored = this._root.select('.rightColumn_bioActivity .cb-censored').property('checked');
+		let points = this._raw.filter(d => showCensored || !d.censored);
+		let types = d3.groupSort(points, v => -v.length, d => d.type);
+		if (!types.includes(this._heatmap.getType())) this._heatmap.setType(types[0]);
+		this._root.select('.rightColumn_bioActivity .select-heatmap-type')
+			.selectAll('option')
+			.data(types)
+			.join('option')
+				.attr('value', d => d)
+				.text(d => d);
+		this._root.select('.rightColumn_bioActivity .select-heatmap-type')
+			.property('value', this._heatmap.getType());
+		this._heatmap.plot(points);
 	}
 
+	/**
+	 * Plot the selectivity view of the selected compound
+	 * Targets are ranked using the raw measurements of the compound, excluding
+	 * censored values when these are hidden.
+	 */
+	plotSelectivity() {
+		let showCensored = this._root.select('.rightColumn_bioActivity .cb-censored').property('checked');
+		this._selectivity.plot(this._raw.filter(d =>
+			d.compound === this._selectivityCompound && (showCensored || !d.censored)
+		));
+	}
+	
 	/**
 	 * Add the X axis to the graph
 	 */
 	plotXAxis() {
 		/* remove previous axis components */
-		d3.select('svg#canvas_bioActivity g#bottom-axis')
+		this._root.select('svg.canvas_bioActivity g.bottom-axis')
 			.attr('transform', 'translate(' +	this._margin.left +	', ' + (this._height - this._margin.bottom) +	')')
 			.call(this._xAxis);
+		/* each category links to the list of proteins measured with it */
+		this._root.select('svg.canvas_bioActivity g.bottom-axis').selectAll('g.tick')
+			.classed('link', true)
+			.on('click', (event, d) => this.navigateToCategory(d))
+			.on('contextmenu', (event, d) => this.showMenu(event, this.categoryLinks(d)))
+			.on('mouseover mousemove', (event, d) => this.showCategoryTooltip(event, d))
+			.on('mouseout', () => this.hideTooltip());
+		/* long labels are rotated, so that they do not overlap */
+		this._root.select('svg.canvas_bioActivity g.bottom-axis').selectAll('g.tick text')
+			.style('text-anchor', this._rotateLabels ? 'end' : null)
+			.attr('dx', this._rotateLabels ? '-0.5em' : null)
+			.attr('dy', this._rotateLabels ? '0.3em' : '0.71em')
+			.attr('transform', this._rotateLabels ? 'rotate(-45)' : null);
 		/* position the title text */
-		d3.select('svg#canvas_bioActivity text#bottom-axis-title')
+		this._root.select('svg.canvas_bioActivity text.bottom-axis-title')
+			.text(FIELD_LABELS[this._xField] + (this._dodge ? ` (by ${FIELD_LABELS[this._dodgeField]})` : ''))
 			.attr('transform', 'translate(' +	this._width / 2 +	',' +	(this._height - this._margin.bottom / 3) + ')')
 			.style('text-anchor', 'middle');
 	}
@@ -335,159 +1469,773 @@ export class BioActivityGraph {
 	 * Add the Y-axis to the graph
 	 */
 	plotYAxis() {
-		d3.select('svg#canvas_bioActivity g#left-axis')
+		/* the axis follows the current zoom level */
+		let axis = d3.axisLeft(this.yScale()).tickArguments(this._yAxis.tickArguments());
+		this._root.select('svg.canvas_bioActivity g.left-axis')
 			.attr('transform', 'translate(' + this._margin.left + ',0)')
-			.call(this._yAxis);
+			.call(axis);
 		/* position the title */
-		d3.select('svg#canvas_bioActivity text#left-axis-title')
+		this._root.select('svg.canvas_bioActivity text.left-axis-title')
+			.text(BioActivityGraph.Y_TITLES[this._yMode])
 			.attr('transform', 'rotate(-90)')
-			.attr('y', -this._margin.left / 3)
+			.attr('y', this.legendWidth() - (this._margin.left - this.legendWidth()) / 3)
 			.attr('x', -this._height / 2)
 			.attr('dy', '1em')
 			.style('text-anchor', 'middle');
 	}
 
 	/**
-	 * 
+	 * Redraw the graph using the current size of its container
+	 * The layout of the axes is recomputed, while the zoom level is kept.
+	 */
+	resize() {
+		/* stop following the container once the tool is removed from the page */
+		if (!this._root.node().isConnected) {
+			if (this._resizeObserver) this._resizeObserver.disconnect();
+			if (this._onResize) window.removeEventListener('resize', this._onResize);
+			return;
+		}
+		let [width, height] = this.measure();
+		let narrow = this._root.select('div.bioActivityGraph').node().getBoundingClientRect().width;
+		this._root.select('div.bioActivityGraph')
+			.classed('narrow', narrow > 0 && narrow < NARROW_WIDTH);
+		if (width === this._width && height === this._height) return;
+		[this._width, this._height] = [width, height];
+		this.updateViewBox();
+		this.updateLayout();
+		this.plotData();
+		this.plotDistributions();
+		this.plotColorLegend();
+	}
+
+	/**
+	 * Reset the zoom of the Y axis and clear the current selection of points
+	 */
+	resetView() {
+		let svg = this._root.select('svg.canvas_bioActivity');
+		if (this._brush) svg.select('g.brush').call(this._brush.move, null);
+		if (this._zoom) svg.call(this._zoom.transform, d3.zoomIdentity);
+		this._yTransform = d3.zoomIdentity;
+	}
+
+	/**
+	 * Select the data points within a rectangular region of the graph
+	 *
+	 * @param {array} selection The region, as [[x0, y0], [x1, y1]] in SVG
+	 * coordinates, or null to clear the selection
+	 */
+	selectPoints(selection) {
+		let showCensored = this._root.select('.rightColumn_bioActivity .cb-censored').property('checked');
+		if (!selection) {
+			this._selected = [];
+		}
+		else {
+			let [[x0, y0], [x1, y1]] = selection;
+			this._selected = this._data.filter(d => {
+				let x = d.x + this._margin.left;
+				return (showCensored || !d.censored) &&
+					x >= x0 && x <= x1 && d.y >= y0 && d.y <= y1;
+			});
+		}
+		this.updateTableSelection();
+		this.plotData();
+	}
+
+	/**
+	 * Retrieve the current configuration of the graph
+	 * The configuration is made of plain objects only, so that it can be stored
+	 * and shared as part of the tool's state.
+	 *
+	 * @returns {object} The color and shape rules, axis options and toggles
+	 */
+	getState() {
+		let checked = cls => this._root.select(`.rightColumn_bioActivity .${cls}`).property('checked');
+		return {
+			colors: this._colors,
+			shapes: this._shapes,
+			defaultColor: this._defaultColor,
+			defaultShape: this._defaultShape,
+			colorScale: this._colorScale,
+			aggregation: this._aggregation,
+			filters: this._filters,
+			yMode: this._yMode,
+			view: this._view,
+			threshold: this._selectivity.getThreshold(),
+			selectivityCompound: this._selectivityCompound,
+			heatmapOrder: this._heatmap.getOrder(),
+			heatmapType: this._heatmap.getType(),
+			xField: this._xField,
+			dodgeField: this._dodgeField,
+			bandwidth: this._bandwidth,
+			violin: checked('cb-violin'),
+			box: checked('cb-box'),
+			markers: checked('cb-markers'),
+			jitter: checked('cb-jitter'),
+			censored: checked('cb-censored'),
+			violinCensored: checked('cb-violin-censored')
+		};
+	}
+
+	/**
+	 * Restore the configuration of the graph from a previously saved state
+	 * Only the options present in the state are restored, everything else keeps
+	 * its default value.
+	 *
+	 * @param {object} state The configuration, as returned by getState
+	 */
+	restoreState(state) {
+		if (!state) return;
+		if (Array.isArray(state.colors))
+			this._colors = state.colors.filter(isValidRule);
+		if (Array.isArray(state.shapes))
+			this._shapes = state.shapes.filter(isValidRule);
+		if (typeof state.defaultColor === 'string')
+			this._defaultColor = state.defaultColor;
+		if (typeof state.defaultShape === 'string')
+			this._defaultShape = state.defaultShape;
+		if (state.colorScale && NUMERIC_FIELDS.includes(state.colorScale.field))
+			this._colorScale = {
+				field: state.colorScale.field,
+				scheme: state.colorScale.scheme === 'diverging' ? 'diverging' : 'sequential'
+			};
+		if (['scatter', 'selectivity', 'heatmap'].includes(state.view))
+			this._view = state.view;
+		if (state.threshold !== undefined)
+			this._selectivity.setThreshold(+state.threshold);
+		if (this._compounds.some(c => c.id === state.selectivityCompound))
+			this._selectivityCompound = state.selectivityCompound;
+		if (state.heatmapOrder !== undefined)
+			this._heatmap.setOrder(state.heatmapOrder);
+		if (typeof state.heatmapType === 'string')
+			this._heatmap.setType(state.heatmapType);
+		if (CATEGORICAL_FIELDS.includes(state.xField))
+			this._xField = state.xField;
+		if (CATEGORICAL_FIELDS.includes(state.dodgeField))
+			this._dodgeField = state.dodgeField;
+		if (state.filters) {
+			let list = l => Array.isArray(l) ? l.filter(v => typeof v === 'string') : undefined;
+			let { compounds, organisms, canonical, types, assayTypes, range } = state.filters;
+			this._filters = {
+				compounds: list(compounds),
+				organisms: list(organisms),
+				canonical: canonical === true,
+				types: list(types),
+				assayTypes: list(assayTypes),
+				range: Array.isArray(range) && range.length === 2 && range.every(Number.isFinite) ?
+					range : undefined
+			};
+		}
+		if (state.aggregation) {
+			let { statistic, spread, violinRaw } = state.aggregation;
+			this._aggregation = {
+				statistic: statistic in STATISTICS ? statistic : 'none',
+				spread: spread in SPREADS ? spread : 'range',
+				violinRaw: violinRaw !== false
+			};
+		}
+		if (Number.isFinite(state.bandwidth) && state.bandwidth > 0)
+			this._bandwidth = state.bandwidth;
+		if (state.yMode in BioActivityGraph.Y_TITLES) {
+			this._yMode = state.yMode;
+			this._root.select('.rightColumn_bioActivity .select-yaxis')
+				.property('value', state.yMode);
+		}
+		[
+			['violin', 'cb-violin'],
+			['box', 'cb-box'],
+			['markers', 'cb-markers'],
+			['jitter', 'cb-jitter'],
+			['censored', 'cb-censored'],
+			['violinCensored', 'cb-violin-censored']
+		].forEach(([key, cls]) => {
+			if (typeof state[key] !== 'boolean') return;
+			this._root.select(`.rightColumn_bioActivity .${cls}`)
+				.property('checked', state[key]);
+		});
+	}
+
+	/**
+	 * Report the current configuration of the graph to the host, if it
+	 * provided a callback to persist it
+	 */
+	saveState() {
+		if (typeof this._onStateChange !== 'function') return;
+		this._onStateChange(this.getState());
+	}
+
+	/**
+	 * Change the way replicate measurements are aggregated
+	 *
+	 * @param {object} config The 'statistic' used to summarize each group of
+	 * replicates (or 'none'), the 'spread' displayed as error bars, and whether
+	 * violins are built from the raw values ('violinRaw')
+	 */
+	setAggregation(config) {
+		this._aggregation = config;
+		this._data = this.aggregateData();
+		this._selected = [];
+		this.updatePointPositions();
+		this.updatePointColors();
+		this.updatePointShapes();
+		this.initDistributions();
+		this.updateTableSelection();
+		this.plotData();
+		this.plotDistributions();
+		this.saveState();
+	}
+
+	/**
+	 * Change the way colors are assigned to data points
+	 *
+	 * @param {object} config The numeric field and scheme ('sequential' or
+	 * 'diverging') of the color scale, or undefined to use the color rules
+	 */
+	setColorScale(config) {
+		this._colorScale = config;
+		this.updatePointColors();
+		/* the legend changes the margins of the graph */
+		this.updateLayout();
+		this.plotData();
+		this.plotDistributions();
+		this.plotColorLegend();
+		this.saveState();
+	}
+
+	/**
+	 * Change the visualization displayed
+	 *
+	 * @param {string} view Either 'scatter', 'selectivity' or 'heatmap'
+	 */
+	setView(view) {
+		this._view = ['selectivity', 'heatmap'].includes(view) ? view : 'scatter';
+		this._root.select('svg.canvas_bioActivity')
+			.style('display', this._view === 'scatter' ? null : 'none');
+		this._root.select('svg.canvas_selectivity')
+			.style('display', this._view === 'selectivity' ? null : 'none');
+		this._root.select('svg.canvas_heatmap')
+			.style('display', this._view === 'heatmap' ? null : 'none');
+		this._root.select('.rightColumn_bioActivity .selectivity-div')
+			.style('display', this._view === 'selectivity' ? null : 'none');
+		this._root.select('.rightColumn_bioActivity .heatmap-div')
+			.style('display', this._view === 'heatmap' ? null : 'none');
+		this.hideTooltip();
+		if (this._view === 'selectivity') this.plotSelectivity();
+		if (this._view === 'heatmap') this.plotHeatmap();
+		this.saveState();
+	}
+
+	/**
+	 * Change the fields used to group points along the X axis
+	 *
+	 * @param {string} field The field whose values define the X axis categories
+	 * @param {string} dodge The field used to dodge points within each category,
+	 * or undefined
+	 */
+	setXAxis(field, dodge) {
+		this._xField = field;
+		this._dodgeField = dodge || undefined;
+		this.updateLayout();
+		this.plotData();
+		this.plotDistributions();
+		this.saveState();
+	}
+
+	/**
+	 * Change the type of Y axis used to display the data
+	 * The axis, the position of the data points and the violin bins are all
+	 * recomputed from the already loaded data.
+	 *
+	 * @param {string} mode The new mode, either 'log', 'pActivity' or 'linear'
+	 */
+	setYAxisMode(mode) {
+		if (!(mode in BioActivityGraph.Y_TITLES)) return;
+		this._yMode = mode;
+		this._yAxis = this.initYAxis();
+		/* a zoom on the previous axis is meaningless on the new one */
+		this.resetView();
+		this.updatePointPositions();
+		this.initDistributions();
+		this.plotYAxis();
+		this.plotData();
+		this.plotDistributions();
+		this.saveState();
+	}
+
+	/**
+	 * Display a context menu with external links
+	 * The browser's own menu is kept when there are no links to display.
+	 *
+	 * @param {event} event The contextmenu event
+	 * @param {array} links A list of { label, url } objects
+	 */
+	showMenu(event, links) {
+		if (links.length === 0) return;
+		event.preventDefault();
+		this.hideTooltip();
+		let container = this._root.select('div.bioActivityGraph');
+		let [x, y] = d3.pointer(event, container.node());
+		container.select('div.bioActivity-menu')
+			.style('display', 'block')
+			.style('left', `${x}px`)
+			.style('top', `${y}px`)
+			.call(menu => this.writeLinks(menu, links));
+	}
+
+	/**
+	 * Display the tooltip next to the mouse pointer
+	 *
+	 * @param {event} event The mouse event that triggered the tooltip
+	 * @returns {object} The d3 selection of the definition list of the tooltip
+	 */
+	placeTooltip(event) {
+		let container = this._root.select('div.bioActivityGraph');
+		let [x, y] = d3.pointer(event, container.node());
+		return container.select('div.bioActivity-tooltip')
+			.style('display', 'block')
+			.style('left', `${x + 12}px`)
+			.style('top', `${y + 12}px`)
+			.select('dl');
+	}
+
+	/**
+	 * Display the tooltip of a category of the X axis, next to the mouse
+	 * pointer
+	 * The full value of the category is included, as long labels are truncated
+	 * along the axis.
+	 *
+	 * @param {event} event The mouse event that triggered the tooltip
+	 * @param {string} category The value of the X axis field
+	 */
+	showCategoryTooltip(event, category) {
+		let count = this._data.filter(p => p[this._xField] === category).length;
+		this.placeTooltip(event)
+			.call(dl => this.writeDetails(dl, [
+				[FIELD_LABELS[this._xField], category],
+				['Points', count]
+			]));
+	}
+
+	/**
+	 * Display the tooltip of a data point, next to the mouse pointer
+	 *
+	 * @param {event} event The mouse event that triggered the tooltip
+	 * @param {object} point The data point under the mouse pointer
+	 */
+	showTooltip(event, point) {
+		this.placeTooltip(event)
+			.call(dl => this.writeDetails(dl, this.pointDetails(point)));
+	}
+
+	/**
+	 * Update the values available for the category selected in the modal
+	 * Categorical fields list each of their distinct values, so that one or more
+	 * of them can be selected. Numeric fields are matched using a range instead.
 	 */
 	updateModalOptions(){
-		let key = d3.select('#bioActivityGraph .im-modal #panel-body-category input:checked').property('value');
-		let opts = this._data.reduce((p,c) => p.add(c[key]) ,new Set());
-		
-		d3.select('#bioActivityGraph .im-modal #panel-body-value').selectAll('*').remove();
-		d3.select('#bioActivityGraph .im-modal #panel-body-value').selectAll('label')
-			.data([...opts])
+		let key = this._root.select('.bioActivityGraph .im-modal .panel-body-category input:checked').property('value');
+		let panel = this._root.select('.bioActivityGraph .im-modal .panel-body-value');
+		panel.selectAll('*').remove();
+
+		if (NUMERIC_FIELDS.includes(key)) {
+			panel.selectAll('label')
+				.data([['range-min', 'From (≥)'], ['range-max', 'To (<)']])
+				.join('label')
+					.classed('row-label', true)
+					.html(d => `${d[1]}\n<input type="number" class="${d[0]}" min="0" step="any">`);
+			return;
+		}
+		/* values hidden by the filters can be styled as well */
+		let opts = this._loaded.reduce((p,c) => p.add(c[key]) ,new Set());
+		panel.selectAll('label')
+			.data([...opts].filter(d => d !== undefined && d !== null).sort())
 			.join('label')
 				.classed('row-label', true)
-				.html((d) => `<input type="radio" name="radio-value" value="${d}">\n${d}`);
+				.each(function(d) {
+					d3.select(this).append('input')
+						.attr('type', 'checkbox')
+						.attr('data-value', d);
+					d3.select(this).append('span')
+						.text(d);
+				});
 	}
 
 	/**
 	 * Assing color to data points.
-	 * The list of current colors is stored in the _colors object. Each item in
-	 * the data-set has its VALUES matched to the KEYS of the _colors list, in
-	 * order to find a match.
+	 * The list of current colors is stored in the _colors list of rules. Each
+	 * item in the data-set is assigned the color of the first rule that matches
+	 * it, or the default color otherwise.
+	 * When a continuous color scale is selected, it is used instead of the
+	 * rules.
 	 */
 	updatePointColors() {
-		/* for each data point, check if any of its values is part of this list, and
-		 * assign a color accordingly. Default color is assigned otherwise. */
-		this._data = this._data.map(p => {
-			p.color = this._colors.get('Default');
-			[...this._colors.keys()].some(c => {
-				if (Object.values(p).includes(c)){
-					p.color = this._colors.get(c);
-					return true;
-				}
-			}, this);
-			return p;
-		}, this);
+		let scale = this.initColorScale();
+		/* raw points are styled as well, as they are used by other views */
+		new Set([...this._raw, ...this._data]).forEach(p => {
+			p.color = scale && Number.isFinite(p[this._colorScale.field]) ?
+				scale(p[this._colorScale.field]) :
+				applyRules(p, this._colors, this._defaultColor);
+		});
+	}
+
+	/**
+	 * Retrieve the value used to position a point along the Y axis
+	 *
+	 * @param {object} point The data point, with its concentration in nM
+	 * @returns {number} The value of the point, according to the current mode
+	 */
+	yValue(point) {
+		return this._yMode === 'pActivity' ? toPActivity(point.value) : point.value;
+	}
+
+	/**
+	 * Retrieve the scale of the Y axis, including the current zoom level
+	 *
+	 * @returns {function} The scale used to position points along the Y axis
+	 */
+	yScale() {
+		return this._yTransform.rescaleY(this._yAxis.scale());
+	}
+
+	/**
+	 * Update the header of the graph, naming the compounds displayed together
+	 * with their external links
+	 */
+	updateHeader() {
+		let self = this;
+		this._root.select('div.bioActivity-header')
+			.selectAll('span.header-compound')
+			.data(this._compounds)
+			.join('span')
+				.classed('header-compound', true)
+				.each(function(d) {
+					let span = d3.select(this);
+					span.selectAll('*').remove();
+					span.append('strong')
+						.text(d.name && d.name !== d.id ? `${d.name} (${d.id})` : d.id);
+					span.append('span')
+						.classed('header-links', true)
+						.call(links => self.writeLinks(links, resolveLinks(self._links.compound, { compound: d.id })));
+				});
+	}
+
+	/**
+	 * Update the layout of the graph
+	 * Margins, axes and the extent of the zoom depend on the size of the graph
+	 * and on the categories along the X axis, so they are all recomputed
+	 * together, followed by the position of the points and distributions.
+	 */
+	updateLayout() {
+		this._margin = this.initMargins();
+		this._xAxis = this.initXAxis();
+		this._dodge = this.initDodgeScale();
+		this._yAxis = this.initYAxis();
+		this.updateZoomExtent();
+		this.updatePointPositions();
+		this.initDistributions();
+		this.plotXAxis();
+		this.plotYAxis();
 	}
 
 	/**
 	 * Set the position (in display coordinates) of each point in the data
 	 */
 	updatePointPositions() {
-		let jitter = d3.select('#rightColumn_bioActivity #cb-jitter').property('checked');
-		let violin = d3.select('#rightColumn_bioActivity #cb-violin').property('checked');
-		let X = this._xAxis.scale();
-		let xwidth = X.bandwidth()/4;
-		let Y = this._yAxis.scale();
+		let jitter = this._root.select('.rightColumn_bioActivity .cb-jitter').property('checked');
+		let violin = this._root.select('.rightColumn_bioActivity .cb-violin').property('checked');
+		let Y = this.yScale();
 		this._data = this._data.map(d => {
-			let dx = (jitter && violin)? 2*xwidth-(xwidth*Math.random()) : jitter ? xwidth+(xwidth*2*Math.random()) : 2*xwidth;
-			d.x = X(d.type) + dx;
-			d.y = Y(d.value);
+			let [start, width] = this.bandOf(d[this._xField], d[this._dodgeField]);
+			let xwidth = width/4;
+			let dx = (jitter && violin)? 2*xwidth-(xwidth*d.jitter) : jitter ? xwidth+(xwidth*2*d.jitter) : 2*xwidth;
+			d.x = start + dx;
+			d.y = Y(this.yValue(d));
 			return d;
 		});
 	}
 
 	/**
 	 * Assign shape to data points.
-	 * The list of current shapes is stored in the _shapes object. Each item in
-	 * the data-set has its VALUES matched to the KEYS of the _shapes list, in
-	 * order to find a match.
+	 * The list of current shapes is stored in the _shapes list of rules. Each
+	 * item in the data-set is assigned the shape of the first rule that matches
+	 * it, or the default shape otherwise.
 	 */
 	updatePointShapes() {
-		/* for each data point, check if any of its values is part of the list, and
-		 * assing a shape accordingly. Default shape is assigned otherwise */
-		this._data = this._data.map(p => {
-			p.shape = this._shapes.get('Default');
-			[...this._shapes.keys()].some(s => {
-				if (Object.values(p).includes(s)) {
-					p.shape = this._shapes.get(s);
-					return true;
-				}
-			}, this);
-			return p;
-		}, this);
+		new Set([...this._raw, ...this._data]).forEach(p => {
+			p.shape = applyRules(p, this._shapes, this._defaultShape);
+		});
 	}
 
+	/**
+	 * Update the display of a table of style rules
+	 * Rules are listed in order of priority, and can be dragged to a different
+	 * position or removed. The default style is always listed last.
+	 *
+	 * @param {string} type Either 'color' or 'shape'
+	 * @param {function} cell Function used to draw the style of each row, called
+	 * with the row's selection and style
+	 */
+	updateTableRules(type, cell) {
+		let self = this;
+		let key = type === 'color' ? '_colors' : '_shapes';
+		let fallback = type === 'color' ? this._defaultColor : this._defaultShape;
+		/* apply the changes made to the rules */
+		let update = () => {
+			if (type === 'color') {
+				self.updatePointColors();
+				self.updateTableColor();
+			}
+			else {
+				self.updatePointShapes();
+				self.updateTableShape();
+			}
+			self.plotData();
+			self.saveState();
+		};
+		let rows = [...this[key], { style: fallback }];
+		let div = this._root.select(`div.rightColumn_bioActivity div.${type}-div`);
+		/* clear the previous elements */
+		div.selectAll('.style-row').remove();
+		div.selectAll('.style-row')
+			.data(rows)
+			.join('div')
+				.classed('flex-row style-row', true)
+				.classed('rule-row', (d, i) => i < rows.length - 1)
+				.attr('draggable', (d, i) => i < rows.length - 1 ? 'true' : null)
+				.each(function(d, i) {
+					let row = d3.select(this);
+					cell(row, d.style);
+					row.insert('label')
+						.classed('row-label', true)
+						.text(d.field === undefined ? 'Default' : describeRule(d));
+					if (d.field === undefined) return;
+					row.insert('a')
+						.classed('row-close', true)
+						.html('&times')
+						.on('click', function(){
+							self[key].splice(i, 1);
+							update();
+						});
+				})
+				/* drag and drop is used to change the priority of the rules */
+				.on('dragstart', function(event, d) {
+					self._dragged = rows.indexOf(d);
+				})
+				.on('dragover', function(event) {
+					event.preventDefault();
+				})
+				.on('drop', function(event, d) {
+					event.preventDefault();
+					let from = self._dragged;
+					let to = Math.min(rows.indexOf(d), self[key].length - 1);
+					self._dragged = undefined;
+					if (from === undefined || from === to) return;
+					self[key] = moveRule(self[key], from, to);
+					update();
+				});
+	}
 
 	/**
 	 * Update the display of colors used in the display
 	 */
 	updateTableColor() {
+		this.updateTableRules('color', (row, style) => {
+			row.insert('div')
+				.attr('class', 'row-cell')
+				.style('background-color', style);
+		});
+	}
+
+	/**
+	 * Update the legend of the compounds displayed in the graph
+	 * The legend is only shown when more than one compound is loaded. Each
+	 * compound can be toggled on and off, which updates the compounds filter.
+	 */
+	updateTableCompounds() {
 		let self = this;
-		d3.select('div#rightColumn_bioActivity div#color-div').selectAll('.flex-row').remove();
-		d3.select('div#rightColumn_bioActivity div#color-div').selectAll('.flex-row')
-			.data([...this._colors.keys()])
+		let div = this._root.select('div.rightColumn_bioActivity div.compounds-div')
+			.style('display', this._compounds.length > 1 ? null : 'none');
+		let counts = d3.rollup(this._loaded, v => v.length, d => d.compound);
+		let visible = c => !this._filters.compounds || this._filters.compounds.includes(c.id);
+		div.selectAll('.flex-row')
+			.data(this._compounds)
 			.join('div')
 				.classed('flex-row', true)
-				.attr('id', d => 'color-'+d)
-				.each(function(d){
-					d3.select(this).insert('div')
-						.attr('class', 'row-cell')
-						.style('background-color', d => self._colors.get(d));
-					d3.select(this).insert('label')
-						.attr('class', 'row-label')
-						.text(d);
-					d3.select(this).insert('a')
-						.attr('class', 'row-close')
-						.attr('data-key', d)
-						.html('&times')
-						.on('click', function(){
-							if( this.dataset.key === 'Default' ) return;
-							self._colors.delete(this.dataset.key);
-							self.updatePointColors();
-							self.updateTableColor();
-							self.plotData();
+				.each(function(d) {
+					d3.select(this).selectAll('*').remove();
+					d3.select(this).append('input')
+						.attr('type', 'checkbox')
+						.property('checked', visible(d))
+						.on('change', () => {
+							let compounds = self._compounds
+								.filter(c => c === d ? !visible(c) : visible(c))
+								.map(c => c.id);
+							self.applyFilters({
+								...self._filters,
+								compounds: compounds.length === self._compounds.length ? undefined : compounds
+							});
+							self.updateTableCompounds();
 						});
+					d3.select(this).append('label')
+						.classed('row-label', true)
+						.text(d.name && d.name !== d.id ? `${d.name} (${d.id})` : d.id);
+					d3.select(this).append('label')
+						.classed('row-reason', true)
+						.text(counts.get(d.id) || 0);
 				});
 	}
 
 	/**
-	 * Initialize the display of the shape table
+	 * Update the summary of points excluded from the graph
+	 * Each excluded point is listed together with the reason why its value could
+	 * not be placed along the concentration axis.
 	 */
-	updateTableShape(){
-		let self = this;
-		/* clear the previous elements */
-		d3.select('div#rightColumn_bioActivity div#shape-div').selectAll('.flex-row').remove();
-		d3.select('div#rightColumn_bioActivity div#shape-div').selectAll('.flex-row')
-			.data([...this._shapes.keys()])
+	updateTableExcluded() {
+		let div = this._root.select('div.rightColumn_bioActivity div.excluded-div')
+			.style('display', this._excluded.length ? null : 'none');
+		div.select('summary')
+			.text(`Excluded points (${this._excluded.length})`);
+		div.select('details').selectAll('.flex-row')
+			.data(this._excluded)
 			.join('div')
 				.classed('flex-row', true)
-				.attr('id', d => 'shape-' + d)
 				.each(function(d) {
-					d3.select(this).insert('svg')
-						.classed('row-cell',true)
-						.attr('viewBox', '-5 -5 10 10')
-						.append('path')
-							.attr('fill', 'black')
-							.attr('d', () => { return d3.symbol().type(d3['symbol'+self._shapes.get(d)]).size(10)(); });
+					d3.select(this).selectAll('*').remove();
 					d3.select(this).insert('label')
 						.classed('row-label', true)
-						.text(d);
-					d3.select(this).insert('a')
-						.classed('row-close', true)
-						.attr('data-key', d)
-						.html('&times')
-						.on('click', function(){
-							if( this.dataset.key === 'Default' ) return;
-							self._shapes.delete(this.dataset.key);
-							self.updatePointShapes();
-							self.updateTableShape();
-							self.plotData();
-						});
-				});	
+						.text(`${d.symbol} ${d.type}: ${d.conc} ${d.unit || ''}`);
+					d3.select(this).insert('label')
+						.classed('row-reason', true)
+						.text(d.reason);
+				});
+	}
+
+	/**
+	 * Update the table listing the points selected by brushing
+	 */
+	updateTableSelection() {
+		let div = this._root.select('div.rightColumn_bioActivity div.selection-div');
+		div.select('.selection-count')
+			.text(this._selected.length ? `${this._selected.length} points` : 'None');
+		div.select('table')
+			.style('display', this._selected.length ? null : 'none')
+			.select('tbody')
+			.selectAll('tr')
+			.data(this._selected)
+			.join('tr')
+				.selectAll('td')
+				.data(d => [
+					d.symbol,
+					d.type,
+					`${d.relation !== '=' ? d.relation + ' ' : ''}${d3.format('~g')(d.value)}`
+				])
+				.join('td')
+					.text(d => d);
+	}
+
+	/**
+	 * Initialize the display of the shape table
+	 */
+	updateTableShape(){
+		this.updateTableRules('shape', (row, style) => {
+			row.insert('svg')
+				.classed('row-cell',true)
+				.attr('viewBox', '-5 -5 10 10')
+				.append('path')
+					.attr('fill', 'black')
+					.attr('d', () => { return d3.symbol().type(d3['symbol'+style]).size(10)(); });
+		});
+	}
+
+	/**
+	 * Update the table of statistics of each distribution
+	 * The table lists the number of values, median and geometric mean of each
+	 * group along the X axis.
+	 */
+	updateTableStatistics() {
+		let format = v => d3.format('.3~g')(Math.pow(10, v));
+		this._root.select('div.rightColumn_bioActivity div.stats-div tbody')
+			.selectAll('tr')
+			.data(this._distributions)
+			.join('tr')
+				.selectAll('td')
+				.data(d => [
+					d.dodge !== undefined ? `${d.group} / ${d.dodge}` : d.group,
+					d.stats.n,
+					format(d.stats.median),
+					format(d.stats.mean)
+				])
+				.join('td')
+					.text(d => d);
+	}
+
+	/**
+	 * Update the viewBox of the SVG elements to the size of the graph
+	 * The selectivity and heatmap views share the size of the graph.
+	 */
+	updateViewBox() {
+		this._root.selectAll('svg.targetMineBioActivityGraphSVG')
+			.attr('viewBox', `0 0 ${this._width} ${this._height}`);
+		this._selectivity.setSize(this._width, this._height);
+		this._heatmap.setSize(this._width, this._height);
+	}
+
+	/**
+	 * Update the area of the graph affected by zoom, brushing and clipping
+	 */
+	updateZoomExtent() {
+		if (!this._zoom) return;
+		let svg = this._root.select('svg.canvas_bioActivity');
+		let [x0, y0] = [this._margin.left, this._margin.top];
+		let [x1, y1] = [this._width - this._margin.right, this._height - this._margin.bottom];
+		svg.select(`clipPath#${this._uid}-clip rect`)
+			.attr('x', -5)
+			.attr('y', y0 - 5)
+			.attr('width', x1 - x0 + 10)
+			.attr('height', y1 - y0 + 10);
+		this._zoom.extent([[x0, y0], [x1, y1]]);
+		this._brush.extent([[x0, y0], [x1, y1]]);
+		svg.select('g.brush').call(this._brush);
+	}
+
+	/**
+	 * Write a list of details as a definition list
+	 *
+	 * @param {object} dl The d3 selection of the definition list element
+	 * @param {array} details A list of [label, value] pairs, see pointDetails
+	 */
+	writeDetails(dl, details) {
+		dl.selectAll('*').remove();
+		details.forEach(([label, value]) => {
+			dl.append('dt').text(label);
+			dl.append('dd').text(value);
+		});
+	}
+
+	/**
+	 * Write a list of external links, each opened in a new page
+	 *
+	 * @param {object} el The d3 selection of the element containing the links
+	 * @param {array} links A list of { label, url } objects
+	 */
+	writeLinks(el, links) {
+		el.selectAll('a')
+			.data(links)
+			.join('a')
+				.attr('href', d => d.url)
+				.attr('target', '_blank')
+				.attr('rel', 'noopener noreferrer')
+				.attr('title', d => d.url)
+				.text(d => d.label);
 	}
 
 }
+
+/* the title of the Y axis for each of the available modes */
+BioActivityGraph.Y_TITLES = {
+	log: 'Activity Concentration (nM)',
+	pActivity: 'pActivity (-log10 M)',
+	linear: 'Activity Concentration (nM, linear)'
+};
+
+/* the number of points above which they are drawn on a canvas */
+BioActivityGraph.CANVAS_THRESHOLD = 2000;
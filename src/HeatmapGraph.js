@@ -0,0 +1,325 @@
+'use strict';
+
+const d3 = require('d3');
+import { rankTargets } from './SelectivityGraph.js';
+import { toPActivity } from './units.js';
+
+/**
+ * The orderings available for the rows and columns of the heatmap
+ */
+export const HEATMAP_ORDERS = {
+	potency: 'Sort by potency',
+	hierarchical: 'Hierarchical clustering'
+};
+
+/**
+ * Compute the cells of a compound by target heatmap
+ * Each cell holds the best potency of a compound against a target, for a
+ * single activity type, following the same rules used to rank targets in the
+ * selectivity view.
+ *
+ * @param {array} points The data points, with concentrations in nM
+ * @param {string} type The activity type used to fill the cells
+ * @returns {array} One cell per compound and target, including the best
+ * point, its value and pActivity, and whether the target is inactive
+ */
+export function heatmapCells(points, type) {
+	return d3.groups(points.filter(p => p.type === type), p => p.compound)
+		.flatMap(([compound, values]) => rankTargets(values).map(t => ({
+			compound,
+			accession: t.accession,
+			best: t.best,
+			value: t.value,
+			pActivity: toPActivity(t.value),
+			inactive: t.inactive,
+			count: t.count
+		})));
+}
+
+/**
+ * Order a set of keys using average-linkage hierarchical clustering
+ * The distance between two keys is the mean absolute difference of the
+ * values they share. Keys without shared values are placed at the largest
+ * distance found, so that they are merged last. The distances between
+ * clusters are updated after each merge using the Lance-Williams formula, and
+ * the nearest neighbour of each cluster is kept to find the next merge.
+ *
+ * @param {array} keys The keys to order
+ * @param {Map} vectors The values of each key, as a Map from dimension to value
+ * @returns {array} The keys, in the order of the leaves of the clustering
+ */
+export function clusterOrder(keys, vectors) {
+	let n = keys.length;
+	if (n === 0) return [];
+	/* dense vectors, with NaN for missing values */
+	let dimensions = [...new Set(keys.flatMap(k => [...vectors.get(k).keys()]))];
+	let dense = keys.map(k => {
+		let v = vectors.get(k);
+		return Float64Array.from(dimensions, d => v.has(d) ? v.get(d) : NaN);
+	});
+	/* distances between keys, undefined (NaN) when no values are shared */
+	let D = keys.map(() => new Float64Array(n));
+	let fallback = -Infinity;
+	for (let i = 0; i < n; i++) {
+		for (let j = i + 1; j < n; j++) {
+			let sum = 0;
+			let count = 0;
+			for (let k = 0; k < dimensions.length; k++) {
+				let diff = Math.abs(dense[i][k] - dense[j][k]);
+				if (!Number.isNaN(diff)) {
+					sum += diff;
+					count++;
+				}
+			}
+			D[i][j] = D[j][i] = count ? sum / count : NaN;
+			if (count) fallback = Math.max(fallback, D[i][j]);
+		}
+	}
+	fallback = Number.isFinite(fallback) ? fallback + 1 : 1;
+	D.forEach(row => row.forEach((v, j) => { if (Number.isNaN(v)) row[j] = fallback; }));
+
+	/* each cluster keeps the ordered list of its leaves, and the nearest of the
+	 * clusters that follow it */
+	let leaves = keys.map(k => [k]);
+	let active = keys.map(() => true);
+	let nearest = new Int32Array(n);
+	let findNearest = i => {
+		let best = -1;
+		for (let j = i + 1; j < n; j++)
+			if (active[j] && (best < 0 || D[i][j] < D[i][best])) best = j;
+		nearest[i] = best;
+	};
+	for (let i = 0; i < n; i++) findNearest(i);
+	for (let merges = 1; merges < n; merges++) {
+		let i = -1;
+		for (let a = 0; a < n; a++) {
+			if (!active[a] || nearest[a] < 0) continue;
+			if (i < 0 || D[a][nearest[a]] < D[i][nearest[i]]) i = a;
+		}
+		let j = nearest[i];
+		/* average linkage: weight the distances by the size of each cluster */
+		let [si, sj] = [leaves[i].length, leaves[j].length];
+		for (let k = 0; k < n; k++) {
+			if (!active[k] || k === i || k === j) continue;
+			D[i][k] = D[k][i] = (si * D[i][k] + sj * D[j][k]) / (si + sj);
+		}
+		leaves[i] = [...leaves[i], ...leaves[j]];
+		active[j] = false;
+		leaves[j] = undefined;
+		for (let a = 0; a < n; a++) {
+			if (!active[a]) continue;
+			if (a === i || nearest[a] === i || nearest[a] === j) findNearest(a);
+			else if (a < i && (D[a][i] < D[a][nearest[a]] || (D[a][i] === D[a][nearest[a]] && i < nearest[a])))
+				nearest[a] = i;
+		}
+	}
+	return leaves[0];
+}
+
+/**
+ * @class HeatmapGraph
+ * @classdesc Used to compare the potency of several compounds, as a heatmap
+ * with one row per compound and one column per target protein
+ * @author Rodolfo Allendes
+ * @version 1.0
+ */
+export class HeatmapGraph {
+	/**
+	 * Initialize an instance of HeatmapGraph
+	 *
+	 * @param {object} svg The d3 selection of the SVG element used to draw
+	 * @param {object} options The 'width', 'height' and 'margin' of the chart,
+	 * the 'onClick' callback used when a cell is selected, and the 'onHover'
+	 * and 'onLeave' callbacks used to display the details of a cell
+	 */
+	constructor(svg, options) {
+		this._svg = svg;
+		this._width = options.width;
+		this._height = options.height;
+		this._margin = options.margin;
+		this._onClick = options.onClick;
+		this._onHover = options.onHover;
+		this._onLeave = options.onLeave;
+		/* the ordering of rows and columns, and the activity type displayed */
+		this._order = 'potency';
+		this._type = undefined;
+		/* the last clustering computed, with the cells it was computed for */
+		this._clustering = undefined;
+	}
+
+	/**
+	 * Retrieve the ordering of the rows and columns of the heatmap
+	 *
+	 * @returns {string} One of the keys of HEATMAP_ORDERS
+	 */
+	getOrder() {
+		return this._order;
+	}
+
+	/**
+	 * Retrieve the activity type displayed in the heatmap
+	 *
+	 * @returns {string} The activity type
+	 */
+	getType() {
+		return this._type;
+	}
+
+	/**
+	 * Change the ordering of the rows and columns of the heatmap
+	 *
+	 * @param {string} order One of the keys of HEATMAP_ORDERS
+	 */
+	setOrder(order) {
+		if (HEATMAP_ORDERS[order] !== undefined) this._order = order;
+	}
+
+	/**
+	 * Change the size of the chart
+	 *
+	 * @param {number} width The width of the chart, in pixels
+	 * @param {number} height The height of the chart, in pixels
+	 */
+	setSize(width, height) {
+		this._width = width;
+		this._height = height;
+	}
+
+	/**
+	 * Change the activity type displayed in the heatmap
+	 *
+	 * @param {string} type The activity type
+	 */
+	setType(type) {
+		this._type = type;
+	}
+
+	/**
+	 * Order the rows and columns of the heatmap by hierarchical clustering
+	 * The order is kept until the cells change, so that redrawing the heatmap,
+	 * for example when resized, does not cluster the same values again.
+	 *
+	 * @param {array} cells The cells of the heatmap
+	 * @param {array} rows The compounds in the heatmap
+	 * @param {array} columns The target proteins in the heatmap
+	 * @returns {array} The ordered rows and columns
+	 */
+	cluster(cells, rows, columns) {
+		let key = JSON.stringify([
+			this._type,
+			cells.map(c => [c.compound, c.accession, c.inactive ? null : c.pActivity])
+		]);
+		if (this._clustering && this._clustering.key === key) return this._clustering.order;
+
+		let measured = cells.filter(c => !c.inactive);
+		let vectors = (keys, key, other) => {
+			let values = d3.group(measured, c => c[key]);
+			return new Map(keys.map(k => [
+				k,
+				new Map((values.get(k) || []).map(c => [c[other], c.pActivity]))
+			]));
+		};
+		let order = [
+			clusterOrder(rows, vectors(rows, 'compound', 'accession')),
+			clusterOrder(columns, vectors(columns, 'accession', 'compound'))
+		];
+		this._clustering = { key, order };
+		return order;
+	}
+
+	/**
+	 * Plot the heatmap
+	 * Cells are colored by the pActivity of their best value, so that
+	 * activities of different magnitude can be compared. Inactive targets,
+	 * only measured as lower bounds, are drawn as empty cells.
+	 *
+	 * @param {array} points The data points, with concentrations in nM
+	 */
+	plot(points) {
+		let self = this;
+		let g = this._svg.select('g.heatmap');
+		g.selectAll('*').remove();
+		let cells = heatmapCells(points, this._type);
+		if (cells.length === 0) return;
+
+		/* order rows and columns */
+		let rows = [...new Set(cells.map(c => c.compound))];
+		let columns = [...new Set(cells.map(c => c.accession))];
+		let measured = cells.filter(c => !c.inactive);
+		if (this._order === 'hierarchical') {
+			[rows, columns] = this.cluster(cells, rows, columns);
+		}
+		else {
+			/* most potent first, keys without measured values last */
+			let potency = key => {
+				let mean = d3.rollup(measured, v => d3.mean(v, c => c.pActivity), c => c[key]);
+				return (a, b) => d3.descending(
+					mean.has(a) ? mean.get(a) : -Infinity,
+					mean.has(b) ? mean.get(b) : -Infinity
+				);
+			};
+			rows.sort(potency('compound'));
+			columns.sort(potency('accession'));
+		}
+
+		let X = d3.scaleBand()
+			.domain(columns)
+			.range([this._margin.left, this._width - this._margin.right])
+			.padding(0.05);
+		let Y = d3.scaleBand()
+			.domain(rows)
+			.range([this._margin.top, this._height - this._margin.bottom])
+			.padding(0.05);
+		let color = d3.scaleSequential(d3.interpolateViridis)
+			.domain(d3.extent(measured.length ? measured : cells, c => c.pActivity));
+		let fontSize = s => Math.max(4, Math.min(10, s.step() * 0.8));
+		let best = (key, value) => cells.find(c => c[key] === value).best;
+
+		/* axes, labelled by compound name and gene symbol */
+		g.append('g')
+			.attr('class', 'left-axis')
+			.attr('transform', `translate(${this._margin.left}, 0)`)
+			.call(d3.axisLeft(Y).tickSize(0).tickFormat(r => best('compound', r).compoundName || r))
+			.call(axis => axis.select('.domain').remove())
+			.selectAll('text')
+				.style('font-size', `${fontSize(Y)}px`);
+		g.append('g')
+			.attr('class', 'bottom-axis')
+			.attr('transform', `translate(0, ${this._height - this._margin.bottom})`)
+			.call(d3.axisBottom(X).tickSize(0).tickFormat(c => best('accession', c).symbol || c))
+			.call(axis => axis.select('.domain').remove())
+			.call(axis => axis.selectAll('.tick')
+				.classed('link', true)
+				.on('click', (event, c) => { if (self._onClick) self._onClick(best('accession', c)); })
+			)
+			.selectAll('text')
+				.style('font-size', `${fontSize(X)}px`)
+				.style('text-anchor', 'end')
+				.attr('dx', '-0.5em')
+				.attr('dy', '-0.2em')
+				.attr('transform', 'rotate(-90)');
+		g.append('text')
+			.attr('class', 'heatmap-title')
+			.attr('x', (this._margin.left + this._width - this._margin.right) / 2)
+			.attr('y', this._margin.top / 2)
+			.style('text-anchor', 'middle')
+			.text(`Best ${this._type} (pActivity)`);
+
+		/* one cell per compound and target */
+		g.append('g')
+			.attr('class', 'cells')
+			.selectAll('rect')
+			.data(cells)
+			.join('rect')
+				.attr('class', 'data-point')
+				.classed('inactive', c => c.inactive)
+				.attr('x', c => X(c.accession))
+				.attr('y', c => Y(c.compound))
+				.attr('width', X.bandwidth())
+				.attr('height', Y.bandwidth())
+				.attr('fill', c => c.inactive ? 'none' : color(c.pActivity))
+				.on('mouseover mousemove', (event, c) => { if (self._onHover) self._onHover(event, c.best); })
+				.on('mouseout', () => { if (self._onLeave) self._onLeave(); })
+				.on('click', (event, c) => { if (self._onClick) self._onClick(c.best); });
+	}
+}
@@ -0,0 +1,213 @@
+'use strict';
+
+const d3 = require('d3');
+
+/* the space around the area of the graph where markers on its border are
+ * still drawn */
+const PADDING = 5;
+
+/**
+ * Check whether the browser can draw on a 2D canvas
+ *
+ * @returns {boolean} Whether a 2D canvas context is available
+ */
+export function canvasSupported() {
+	try {
+		return !!document.createElement('canvas').getContext('2d');
+	}
+	catch (e) {
+		return false;
+	}
+}
+
+/**
+ * @class PointCanvas
+ * @classdesc Used to draw large numbers of data points on a 2D canvas, placed
+ * within the SVG of the graph so that it shares the axes, zoom and export of
+ * the graph. Mouse interaction is resolved using a quadtree of the points.
+ * @author Rodolfo Allendes
+ * @version 1.0
+ */
+export class PointCanvas {
+	/**
+	 * Initialize an instance of PointCanvas
+	 *
+	 * @param {object} graph The d3 selection of the SVG group of the graph. The
+	 * canvas is inserted right after its 'g.points' element, and only covers
+	 * the area of the graph so that the axes remain interactive
+	 * @param {object} options The 'onHover', 'onLeave', 'onClick' and
+	 * 'onContextMenu' callbacks, called with the mouse event and the data point
+	 * under the pointer
+	 */
+	constructor(graph, options) {
+		this._graph = graph;
+		this._onHover = options.onHover;
+		this._onLeave = options.onLeave;
+		this._onClick = options.onClick;
+		this._onContextMenu = options.onContextMenu;
+		this._width = 0;
+		this._height = 0;
+		this._margin = undefined;
+		this._quadtree = d3.quadtree();
+		/* the symbols used for each shape, built only once */
+		this._symbols = new Map();
+		this._object = graph.insert('foreignObject', 'g.points + *')
+			.attr('class', 'points-canvas')
+			.style('display', 'none');
+		this._canvas = this._object.append('xhtml:canvas')
+			.style('width', '100%')
+			.style('height', '100%')
+			.on('mousemove', event => this.hover(event))
+			.on('mouseout', () => { if (this._onLeave) this._onLeave(); })
+			.on('click', event => {
+				let point = this.find(event);
+				if (point && this._onClick) this._onClick(event, point);
+			})
+			.on('contextmenu', event => {
+				let point = this.find(event);
+				if (point && this._onContextMenu) this._onContextMenu(event, point);
+			});
+	}
+
+	/**
+	 * Retrieve the size of the canvas
+	 *
+	 * @returns {array} The [width, height] of the area of the graph, including
+	 * its padding, in pixels
+	 */
+	area() {
+		return [
+			Math.max(0, this._width - this._margin.left - this._margin.right + 2 * PADDING),
+			Math.max(0, this._height - this._margin.top - this._margin.bottom + 2 * PADDING)
+		];
+	}
+
+	/**
+	 * Remove every point drawn, and hide the canvas
+	 */
+	clear() {
+		this._quadtree = d3.quadtree();
+		this._object.style('display', 'none');
+	}
+
+	/**
+	 * Draw a set of data points
+	 * Points are positioned using their x and y coordinates, relative to the
+	 * left margin of the graph, and drawn using their color and shape. Only
+	 * the area of the graph, and its padding, is drawn.
+	 * Censored values are drawn as open markers, and upper and lower bounds
+	 * include an arrow pointing in the direction of the actual value.
+	 *
+	 * @param {array} points The data points
+	 * @param {object} options The list of 'selected' points, and the 'arrow'
+	 * function returning the direction (1 or -1) of the arrow of a bound
+	 */
+	draw(points, options) {
+		let ratio = window.devicePixelRatio || 1;
+		let [width, height] = this.area();
+		let canvas = this._canvas.node();
+		canvas.width = width * ratio;
+		canvas.height = height * ratio;
+		this._object.style('display', null);
+		let ctx = canvas.getContext('2d');
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		ctx.clearRect(0, 0, width, height);
+		/* the canvas starts at the top left corner of the padded area */
+		ctx.save();
+		ctx.translate(PADDING, PADDING - this._margin.top);
+		let selected = new Set(options.selected);
+		points.forEach(d => {
+			ctx.save();
+			ctx.translate(d.x, d.y);
+			ctx.beginPath();
+			this.symbol(d.shape).context(ctx)();
+			if (d.censored) {
+				ctx.strokeStyle = d.color;
+				ctx.stroke();
+			}
+			else {
+				ctx.fillStyle = d.color;
+				ctx.fill();
+			}
+			if (d.bound === 'upper' || d.bound === 'lower') {
+				let dir = options.arrow(d);
+				ctx.beginPath();
+				ctx.moveTo(0, dir * 4);
+				ctx.lineTo(0, dir * 12);
+				ctx.moveTo(-3, dir * 9);
+				ctx.lineTo(0, dir * 12);
+				ctx.lineTo(3, dir * 9);
+				ctx.strokeStyle = d.color;
+				ctx.stroke();
+			}
+			if (selected.has(d)) {
+				ctx.beginPath();
+				this.symbol(d.shape).context(ctx)();
+				ctx.lineWidth = 1.5;
+				ctx.strokeStyle = 'black';
+				ctx.stroke();
+			}
+			ctx.restore();
+		});
+		ctx.restore();
+		this._quadtree = d3.quadtree()
+			.x(d => d.x)
+			.y(d => d.y)
+			.addAll(points);
+	}
+
+	/**
+	 * Find the data point under the mouse pointer
+	 *
+	 * @param {event} event The mouse event
+	 * @returns {object} The closest data point within the radius of a marker,
+	 * or undefined
+	 */
+	find(event) {
+		let [x, y] = d3.pointer(event, this._graph.node());
+		return this._quadtree.find(x - this._margin.left, y, 6);
+	}
+
+	/**
+	 * Handle the movement of the mouse pointer over the canvas
+	 *
+	 * @param {event} event The mouse event
+	 */
+	hover(event) {
+		let point = this.find(event);
+		this._canvas.style('cursor', point ? 'pointer' : null);
+		if (point && this._onHover) this._onHover(event, point);
+		else if (!point && this._onLeave) this._onLeave();
+	}
+
+	/**
+	 * Change the size of the canvas
+	 *
+	 * @param {number} width The width of the graph, in pixels
+	 * @param {number} height The height of the graph, in pixels
+	 * @param {object} margin The margins around the area of the graph
+	 */
+	setSize(width, height, margin) {
+		this._width = width;
+		this._height = height;
+		this._margin = margin;
+		let [w, h] = this.area();
+		this._object
+			.attr('x', margin.left - PADDING)
+			.attr('y', margin.top - PADDING)
+			.attr('width', w)
+			.attr('height', h);
+	}
+
+	/**
+	 * Retrieve the symbol generator of a shape
+	 *
+	 * @param {string} shape The name of the shape, as used by d3 (e.g. 'Circle')
+	 * @returns {function} The symbol generator
+	 */
+	symbol(shape) {
+		if (!this._symbols.has(shape))
+			this._symbols.set(shape, d3.symbol().size(50).type(d3[`symbol${shape}`] || d3.symbolCircle));
+		return this._symbols.get(shape);
+	}
+}
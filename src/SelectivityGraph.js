@@ -0,0 +1,192 @@
+'use strict';
+
+const d3 = require('d3');
+
+/**
+ * Rank the target proteins of a compound by their best potency
+ * The best potency of a target is its lowest concentration value. Values that
+ * are only lower bounds ('>') do not measure a potency, so they are only used
+ * when a target has no other values, in which case the target is flagged as
+ * inactive.
+ *
+ * @param {array} points The data points, with concentrations in nM
+ * @returns {array} One entry per target, sorted from most to least potent,
+ * including the best point, its value and the fold ratio relative to the most
+ * potent target
+ */
+export function rankTargets(points) {
+	let targets = d3.groups(points, d => d.primaryAccession).map(([accession, values]) => {
+		let measured = values.filter(v => v.bound !== 'lower');
+		let inactive = measured.length === 0;
+		let best = inactive ?
+			d3.greatest(values, v => v.value) :
+			d3.least(measured, v => v.value);
+		return { accession, best, value: best.value, inactive, count: values.length };
+	});
+	targets.sort((a, b) => (a.inactive - b.inactive) || (a.value - b.value));
+	let reference = targets.length ? targets[0].value : undefined;
+	targets.forEach(t => t.fold = t.value / reference);
+	return targets;
+}
+
+/**
+ * @class SelectivityGraph
+ * @classdesc Used to display the selectivity of a compound, as a ranked chart
+ * of the best potency measured for each of its target proteins
+ * @author Rodolfo Allendes
+ * @version 1.0
+ */
+export class SelectivityGraph {
+	/**
+	 * Initialize an instance of SelectivityGraph
+	 *
+	 * @param {object} svg The d3 selection of the SVG element used to draw
+	 * @param {object} options The 'width', 'height' and 'margin' of the chart,
+	 * the 'onClick' callback used when a target is selected, and the 'onHover'
+	 * and 'onLeave' callbacks used to display the details of a target
+	 */
+	constructor(svg, options) {
+		this._svg = svg;
+		this._width = options.width;
+		this._height = options.height;
+		this._margin = options.margin;
+		this._onClick = options.onClick;
+		this._onHover = options.onHover;
+		this._onLeave = options.onLeave;
+		/* targets within this fold of the most potent one are off-targets */
+		this._threshold = 10;
+	}
+
+	/**
+	 * Change the size of the chart
+	 *
+	 * @param {number} width The width of the chart, in pixels
+	 * @param {number} height The height of the chart, in pixels
+	 */
+	setSize(width, height) {
+		this._width = width;
+		this._height = height;
+	}
+
+	/**
+	 * Retrieve the fold ratio used to flag selective off-targets
+	 *
+	 * @returns {number} The fold ratio, relative to the most potent target
+	 */
+	getThreshold() {
+		return this._threshold;
+	}
+
+	/**
+	 * Change the fold ratio used to flag selective off-targets
+	 *
+	 * @param {number} threshold The fold ratio, relative to the most potent
+	 * target
+	 */
+	setThreshold(threshold) {
+		if (Number.isFinite(threshold) && threshold >= 1) this._threshold = threshold;
+	}
+
+	/**
+	 * Plot the ranked potency of the targets
+	 * Each target is drawn as a lollipop on a logarithmic scale, where longer
+	 * stems correspond to more potent activities. The color of each marker is
+	 * the one assigned to the target's best data point. Targets within the
+	 * threshold of the most potent one are flagged as off-targets, unless they
+	 * are inactive, as their values are then only lower bounds.
+	 *
+	 * @param {array} points The data points, with concentrations in nM and
+	 * their assigned color
+	 */
+	plot(points) {
+		let self = this;
+		let targets = rankTargets(points);
+		let g = this._svg.select('g.selectivity');
+		g.selectAll('*').remove();
+		if (targets.length === 0) return;
+
+		let [min, max] = d3.extent(targets, t => t.value);
+		/* potent values to the right, so that longer stems are more potent */
+		let X = d3.scaleLog()
+			.domain([Math.max(max, this._threshold * min), min])
+			.range([this._margin.left, this._width - this._margin.right])
+			.nice();
+		let Y = d3.scaleBand()
+			.domain(targets.map(t => t.accession))
+			.range([this._margin.top, this._height - this._margin.bottom])
+			.padding(0.2);
+		let fontSize = Math.max(4, Math.min(10, Y.step() * 0.8));
+
+		/* axes and titles */
+		g.append('g')
+			.attr('class', 'bottom-axis')
+			.attr('transform', `translate(0, ${this._height - this._margin.bottom})`)
+			.call(d3.axisBottom(X).ticks(5, '~g'));
+		g.append('text')
+			.attr('class', 'bottom-axis-title')
+			.attr('x', (this._margin.left + this._width - this._margin.right) / 2)
+			.attr('y', this._height - this._margin.bottom / 3)
+			.style('text-anchor', 'middle')
+			.text('Best potency (nM, log scale)');
+		g.append('g')
+			.attr('class', 'left-axis')
+			.attr('transform', `translate(${this._margin.left}, 0)`)
+			.call(d3.axisLeft(Y).tickFormat(a => {
+				let t = targets.find(t => t.accession === a);
+				return t.best.symbol || a;
+			}))
+			.call(axis => axis.selectAll('.tick')
+				.classed('link', true)
+				.classed('off-target', (a, i) => i > 0 && !targets[i].inactive && targets[i].fold < this._threshold)
+				.on('click', (event, a) => {
+					let t = targets.find(t => t.accession === a);
+					if (self._onClick) self._onClick(t.best);
+				})
+			)
+			.selectAll('text')
+				.style('font-size', `${fontSize}px`);
+
+		/* the threshold used to define selective off-targets */
+		let tx = X(min * this._threshold);
+		g.append('line')
+			.attr('class', 'selectivity-threshold')
+			.attr('x1', tx)
+			.attr('x2', tx)
+			.attr('y1', this._margin.top)
+			.attr('y2', this._height - this._margin.bottom);
+		g.append('text')
+			.attr('class', 'selectivity-threshold-label')
+			.attr('x', tx)
+			.attr('y', this._margin.top - 4)
+			.style('text-anchor', 'middle')
+			.text(`${d3.format('~g')(this._threshold)}x`);
+
+		/* one lollipop per target */
+		let lollipops = g.append('g')
+			.attr('class', 'lollipops')
+			.selectAll('g')
+			.data(targets)
+			.join('g')
+				.attr('transform', t => `translate(0, ${Y(t.accession) + Y.bandwidth() / 2})`);
+		lollipops.append('line')
+			.attr('class', 'stem')
+			.attr('x1', X.range()[0])
+			.attr('x2', t => X(t.value))
+			.attr('stroke', t => t.best.color);
+		lollipops.append('circle')
+			.attr('class', 'data-point')
+			.attr('cx', t => X(t.value))
+			.attr('r', Math.max(2, Math.min(5, Y.bandwidth() / 2)))
+			.attr('fill', t => t.inactive ? 'none' : t.best.color)
+			.attr('stroke', t => t.best.color)
+			.on('mouseover mousemove', (event, t) => { if (self._onHover) self._onHover(event, t.best); })
+			.on('mouseout', () => { if (self._onLeave) self._onLeave(); })
+			.on('click', (event, t) => { if (self._onClick) self._onClick(t.best); });
+		lollipops.append('text')
+			.attr('class', 'fold')
+			.attr('x', t => X(t.value) + 7)
+			.attr('dy', '0.35em')
+			.style('font-size', `${fontSize}px`)
+			.text((t, i) => i === 0 ? 'reference' : `${t.inactive ? '>' : ''}${d3.format('.3~s')(t.fold)}x`);
+	}
+}
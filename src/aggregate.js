@@ -0,0 +1,91 @@
+'use strict';
+
+const d3 = require('d3');
+import { toPActivity } from './units.js';
+
+/**
+ * The statistics that can be used to summarize replicate measurements
+ */
+export const STATISTICS = {
+	median: 'Median',
+	geomean: 'Geometric mean',
+	best: 'Best value'
+};
+
+/**
+ * The ways in which the spread of replicate measurements can be shown
+ */
+export const SPREADS = {
+	range: 'Min/Max',
+	iqr: 'Interquartile range'
+};
+
+/**
+ * The fields that describe a single measurement, only kept by aggregated
+ * points when shared by all of their replicates
+ */
+const MEASUREMENT_FIELDS = ['assay', 'assayType', 'assayDescription', 'document', 'year'];
+
+/**
+ * Summarize a list of concentration values
+ *
+ * @param {array} values The concentration values, in nM
+ * @param {string} statistic One of the keys of STATISTICS
+ * @returns {number} The summarized value
+ */
+export function summarize(values, statistic) {
+	if (statistic === 'best') return d3.min(values);
+	if (statistic === 'geomean')
+		return Math.pow(10, d3.mean(values, v => Math.log10(v)));
+	return d3.median(values);
+}
+
+/**
+ * Aggregate replicate measurements per compound, target protein and activity
+ * type
+ * Each group of points is replaced by a single point, positioned at the
+ * selected statistic, and including the bounds of the group's spread, the
+ * number of replicates and the original points (members). The details of the
+ * measurements, such as their assay, are only kept when shared by all the
+ * members of the group.
+ *
+ * @param {array} points The data points, with concentrations in nM
+ * @param {string} statistic One of the keys of STATISTICS
+ * @param {string} spread One of the keys of SPREADS
+ * @returns {array} The aggregated points
+ */
+export function aggregatePoints(points, statistic, spread) {
+	let groups = d3.flatGroup(points, d => d.compound, d => d.primaryAccession, d => d.type);
+	return groups.map(([, , type, members]) => {
+		let values = members.map(m => m.value).sort(d3.ascending);
+		let value = summarize(values, statistic);
+		let [low, high] = spread === 'iqr' ?
+			[d3.quantileSorted(values, 0.25), d3.quantileSorted(values, 0.75)] :
+			[values[0], values[values.length - 1]];
+		/* the summary is only censored when all of its members share a bound */
+		let bounds = new Set(members.map(m => m.bound));
+		let first = members[0];
+		let censored = bounds.size === 1 && first.censored;
+		let shared = Object.fromEntries(MEASUREMENT_FIELDS.map(f => [
+			f,
+			members.every(m => m[f] === first[f]) ? first[f] : undefined
+		]));
+		return {
+			...first,
+			...shared,
+			type,
+			conc: value,
+			unit: 'nM',
+			value,
+			pActivity: toPActivity(value),
+			relation: censored ? first.relation : '=',
+			bound: censored ? first.bound : undefined,
+			censored,
+			statistic,
+			low,
+			high,
+			replicates: members.length,
+			members
+		};
+	});
+}
@@ -0,0 +1,60 @@
+'use strict';
+
+const d3 = require('d3');
+
+/**
+ * Estimate a bandwidth for the kernel density of a list of values
+ * Uses Silverman's rule of thumb. When the values have no spread, a fixed
+ * bandwidth of 0.1 is used instead.
+ *
+ * @param {array} values The values of the distribution
+ * @returns {number} The bandwidth
+ */
+export function silvermanBandwidth(values) {
+	let sorted = [...values].sort(d3.ascending);
+	let sd = values.length > 1 ? d3.deviation(sorted) : 0;
+	let iqr = d3.quantileSorted(sorted, 0.75) - d3.quantileSorted(sorted, 0.25);
+	let spread = Math.min(sd, iqr / 1.34) || sd || iqr;
+	return spread > 0 ? 0.9 * spread * Math.pow(values.length, -0.2) : 0.1;
+}
+
+/**
+ * Compute the kernel density estimate of a list of values
+ * A gaussian kernel is used, evaluated at each value of the grid.
+ *
+ * @param {array} values The values of the distribution
+ * @param {number} bandwidth The standard deviation of the kernel
+ * @param {array} grid The values at which the density is evaluated
+ * @returns {array} A list of [value, density] pairs, one per grid value
+ */
+export function kernelDensity(values, bandwidth, grid) {
+	let norm = 1 / (values.length * bandwidth * Math.sqrt(2 * Math.PI));
+	return grid.map(x => [
+		x,
+		norm * d3.sum(values, v => Math.exp(-0.5 * Math.pow((x - v) / bandwidth, 2)))
+	]);
+}
+
+/**
+ * Compute the statistics displayed in a box plot
+ * Whiskers extend to the most extreme values within 1.5 times the
+ * interquartile range from the box.
+ *
+ * @param {array} values The values of the distribution
+ * @returns {object} The number of values ('n'), 'q1', 'median', 'q3', 'mean'
+ * and the [low, high] bounds of the 'whiskers'
+ */
+export function boxStats(values) {
+	let sorted = [...values].sort(d3.ascending);
+	let [q1, median, q3] = [0.25, 0.5, 0.75].map(p => d3.quantileSorted(sorted, p));
+	let fence = 1.5 * (q3 - q1);
+	let inside = sorted.filter(v => v >= q1 - fence && v <= q3 + fence);
+	return {
+		n: sorted.length,
+		q1,
+		median,
+		q3,
+		mean: d3.mean(sorted),
+		whiskers: [inside[0], inside[inside.length - 1]]
+	};
+}
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Style properties copied from the rendered SVG elements when serializing the
+ * graph, so that the exported file looks the same outside of the report page.
+ */
+const INLINED_STYLES = [
+	'fill',
+	'fill-opacity',
+	'stroke',
+	'stroke-width',
+	'stroke-opacity',
+	'stroke-dasharray',
+	'opacity',
+	'font-family',
+	'font-size',
+	'font-weight',
+	'text-anchor',
+	'dominant-baseline',
+	'visibility',
+	'display'
+];
+
+/**
+ * Serialize an SVG element, including its computed styles
+ * The element is cloned and the styles computed for each of the original
+ * nodes are written as inline style attributes of the clone. Canvases embedded
+ * using foreignObject elements are replaced by images of their contents.
+ *
+ * @param {SVGSVGElement} svg The element to serialize
+ * @returns {string} The XML representation of the SVG element
+ */
+export function serializeSVG(svg) {
+	let clone = svg.cloneNode(true);
+	let source = [svg, ...svg.querySelectorAll('*')];
+	let target = [clone, ...clone.querySelectorAll('*')];
+	source.forEach((node, i) => {
+		let computed = window.getComputedStyle(node);
+		let style = INLINED_STYLES
+			.map(p => [p, computed.getPropertyValue(p)])
+			.filter(([, v]) => v !== '' && v !== undefined)
+			.map(([p, v]) => `${p}:${v}`)
+			.join(';');
+		if (style) target[i].setAttribute('style', style);
+	});
+	target.filter(n => n.tagName === 'foreignObject').forEach(node => {
+		let canvas = source[target.indexOf(node)].querySelector('canvas');
+		if (!canvas || node.style.display === 'none') return node.remove();
+		let img = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+		['x', 'y', 'width', 'height'].forEach(a => {
+			if (node.hasAttribute(a)) img.setAttribute(a, node.getAttribute(a));
+		});
+		img.setAttribute('href', canvas.toDataURL('image/png'));
+		node.replaceWith(img);
+	});
+	/* give the image an explicit size, as it will be no longer in a container */
+	let [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+	clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+	clone.setAttribute('width', width);
+	clone.setAttribute('height', height);
+	clone.style.backgroundColor = 'white';
+	return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Render an SVG element as a PNG image
+ *
+ * @param {SVGSVGElement} svg The element to render
+ * @param {number} scale The resolution of the image, relative to the size of
+ * the SVG's viewBox
+ * @returns {Promise} A promise resolved with the Blob of the PNG image
+ */
+export function svgToPNG(svg, scale = 1) {
+	let xml = serializeSVG(svg);
+	let [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+	let url = URL.createObjectURL(new Blob([xml], { type: 'image/svg+xml;charset=utf-8' }));
+	return new Promise((resolve, reject) => {
+		let img = new Image();
+		img.onload = () => {
+			let canvas = document.createElement('canvas');
+			canvas.width = width * scale;
+			canvas.height = height * scale;
+			let ctx = canvas.getContext('2d');
+			ctx.fillStyle = 'white';
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+			ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+			URL.revokeObjectURL(url);
+			canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Unable to render PNG image')));
+		};
+		img.onerror = () => {
+			URL.revokeObjectURL(url);
+			reject(new Error('Unable to render PNG image'));
+		};
+		img.src = url;
+	});
+}
+
+/**
+ * Write a list of objects as delimiter separated values
+ * Fields containing the delimiter, quotes or line breaks are quoted.
+ *
+ * @param {array} rows The objects to write, one per line
+ * @param {array} columns The properties of each object to write, in order
+ * @param {string} delimiter The field separator. Default value ','
+ * @returns {string} The text of the file, including a header line
+ */
+export function toDelimited(rows, columns, delimiter = ',') {
+	let escape = value => {
+		if (value === undefined || value === null) return '';
+		let str = String(value);
+		if (str.includes(delimiter) || /["\r\n]/.test(str))
+			return `"${str.replace(/"/g, '""')}"`;
+		return str;
+	};
+	let lines = [columns.map(escape).join(delimiter)];
+	rows.forEach(r => lines.push(columns.map(c => escape(r[c])).join(delimiter)));
+	return lines.join('\n') + '\n';
+}
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * The labels of the assay types used by ChEMBL
+ */
+export const ASSAY_TYPES = {
+	A: 'ADMET',
+	B: 'Binding',
+	F: 'Functional',
+	P: 'Physicochemical',
+	T: 'Toxicity',
+	U: 'Unclassified'
+};
+
+/**
+ * Build the default filters for a set of data points
+ * Only human proteins are displayed by default, when these are available.
+ *
+ * @param {array} points The data points
+ * @returns {object} The default filters
+ */
+export function defaultFilters(points) {
+	let human = points.some(p => p.organism === 'Homo sapiens');
+	return {
+		compounds: undefined,
+		organisms: human ? ['Homo sapiens'] : undefined,
+		canonical: false,
+		types: undefined,
+		assayTypes: undefined,
+		range: undefined
+	};
+}
+
+/**
+ * Filter a set of data points
+ * Filters that are undefined do not exclude any point. The concentration
+ * range, in nM, includes both of its bounds.
+ *
+ * @param {array} points The data points
+ * @param {object} filters The list of 'compounds', 'organisms' and activity
+ * 'types' to include, whether only 'canonical' UniProt isoforms are included,
+ * the 'assayTypes' to include, and the concentration 'range' ([min, max]) of
+ * the values included
+ * @returns {array} The points that pass all of the filters
+ */
+export function filterPoints(points, filters) {
+	let { compounds, organisms, canonical, types, assayTypes, range } = filters;
+	return points.filter(p => {
+		if (compounds && !compounds.includes(p.compound)) return false;
+		if (organisms && !organisms.includes(p.organism)) return false;
+		if (canonical && p.canonical === false) return false;
+		if (types && !types.includes(p.type)) return false;
+		if (assayTypes && !assayTypes.includes(p.assayType)) return false;
+		if (range && (p.value < range[0] || p.value > range[1])) return false;
+		return true;
+	});
+}
@@ -1,81 +1,245 @@
 'use strict';
 
 import { BioActivityGraph } from './BioActivityGraph.js';
+import { mergeLinks } from './links.js';
+import { fetchInterMine } from './provider.js';
+import { hideStatus, showStatus } from './status.js';
 
-// make sure to export main, with the signature
-function main(el, service, imEntity, state, config, navigate) {
+// make sure to export main, with the signature. The optional onStateChange
+// callback receives the configuration of the graph whenever it changes, in the
+// format accepted back as state
+function main(el, service, imEntity, state, config, navigate, onStateChange) {
 	if (!state) state = {};
 	if (!el || !service || !imEntity || !state || !config) {
 		throw new Error('Call main with correct signature');
 	}
-	// define the TargetMine service
-	let tmService = new imjs.Service(service);
-	tmService.fetchModel().then(model => {
-		// retrieve the data from TargetMine using a predefined query
-		let query = new imjs.Query({model});
-		query.adjustPath('ChemblCompound');
-		query.select([
-			'ChemblCompound.identifier',
-			'ChemblCompound.name',
-			'ChemblCompound.targetProteins.protein.primaryAccession',
-			'ChemblCompound.targetProteins.protein.symbol',
-			'ChemblCompound.targetProteins.protein.name',
-			'ChemblCompound.targetProteins.protein.isUniprotCanonical',
-			'ChemblCompound.targetProteins.protein.organism.name',
-			'ChemblCompound.targetProteins.activities.type',
-			'ChemblCompound.targetProteins.activities.conc',
-			'ChemblCompound.targetProteins.activities.relation',
-			'ChemblCompound.targetProteins.activities.unit'
-		]);
-		query.addConstraint({ path: 'id', op: '=', value: imEntity.ChemblCompound.value } );
-		return tmService.records(query);
-	}).then(rows => {
-		window.bioActivityGraph = new BioActivityGraph(rows[0], navigate);
-	});
-	
 	// define fixed DOM elements
 	el.innerHTML = `
 		<div class="rootContainer">
-			<div id="bioActivityGraph" class="targetMineBioActivityGraph" >
+			<div class="bioActivity-status">
+				<span class="status-spinner"></span>
+				<p class="status-message"></p>
+				<button class="status-retry flex-button">Retry</button>
+			</div>
+			<div class="bioActivity-header"></div>
+			<div class="bioActivityGraph targetMineBioActivityGraph" >
 			
-				<svg id="canvas_bioActivity" class="targetMineBioActivityGraphSVG" viewBox="0 0 400 400">
-					<g id="graph">
-						<g id="bottom-axis"></g>
-						<text id="bottom-axis-title">Bio-Activity Type</text>
-						<g id="left-axis"></g>
-						<text id="left-axis-title">Activity Concentration (nM)</text>
-						<g id="points"></g>
+				<svg class="canvas_bioActivity targetMineBioActivityGraphSVG" viewBox="0 0 400 400">
+					<g class="graph">
+						<g class="bottom-axis"></g>
+						<text class="bottom-axis-title">Activity Type</text>
+						<g class="left-axis"></g>
+						<text class="left-axis-title">Activity Concentration (nM)</text>
+						<g class="error-bars"></g>
+						<g class="points"></g>
 					</g>
 				</svg>
+
+				<svg class="canvas_selectivity targetMineBioActivityGraphSVG" viewBox="0 0 400 400" style="display: none;">
+					<g class="selectivity"></g>
+				</svg>
 				
-				<div id="rightColumn_bioActivity" class="rightColumn">	
-					<div id="color-div" class="flex-table">
+				<svg class="canvas_heatmap targetMineBioActivityGraphSVG" viewBox="0 0 400 400" style="display: none;">
+					<g class="heatmap"></g>
+				</svg>
+
+				<div class="bioActivity-tooltip">
+					<dl></dl>
+				</div>
+				<div class="bioActivity-menu"></div>
+
+				<div class="rightColumn_bioActivity rightColumn">	
+					<div class="view-div flex-table">
+						<h5 class="report-item-heading">View:</h5>
+						<select class="select-view">
+							<option value="scatter" selected>Bioactivity scatter</option>
+							<option value="selectivity">Target selectivity</option>
+							<option value="heatmap">Compound × target heatmap</option>
+						</select>
+					</div>
+					<div class="compounds-div flex-table" style="display: none;">
+						<h5 class="report-item-heading">Compounds:</h5>
+					</div>
+					<div class="selectivity-div flex-table" style="display: none;">
+						<h5 class="report-item-heading">Selectivity:</h5>
+						<select class="select-selectivity-compound"></select>
+						<div class="flex-row">
+							<input class="input-threshold" type="number" min="1" step="any" value="10"></input>
+							<label class="row-label">fold off-target threshold</label>
+						</div>
+					</div>
+					<div class="heatmap-div flex-table" style="display: none;">
+						<h5 class="report-item-heading">Heatmap:</h5>
+						<select class="select-heatmap-type"></select>
+						<select class="select-heatmap-order"></select>
+					</div>
+					<div class="details-div flex-table" style="display: none;">
+						<h5 class="report-item-heading">
+							Details:
+							<a class="row-close">&times</a>
+						</h5>
+						<dl></dl>
+						<a class="details-report">View protein report</a>
+						<div class="details-links"></div>
+					</div>
+					<div class="filters-div flex-table">
+						<h5 class="report-item-heading">Filters:</h5>
+						<div class="filter-organisms"></div>
+						<div class="flex-row">
+							<input class="cb-canonical" type="checkbox"></input>
+							<label class="row-label">Canonical UniProt only</label>
+						</div>
+						<select class="select-types" multiple></select>
+						<select class="select-assay-types" multiple title="Assay types"></select>
+						<div class="flex-row">
+							<input class="filter-min" type="range"></input>
+							<input class="filter-max" type="range"></input>
+						</div>
+						<label class="filter-range-label row-label"></label>
+					</div>
+					<div class="color-div flex-table">
 						<h5 class="report-item-heading">Colors:</h5>
-						<button id="color-add" value="Color" class="flex-button">Add</button>
+						<select class="select-color-by">
+							<option value="" selected>Color by...</option>
+						</select>
+						<div class="flex-row">
+							<select class="select-color-scale">
+								<option value="" selected>Rules</option>
+							</select>
+							<select class="select-color-scheme">
+								<option value="sequential" selected>Sequential</option>
+								<option value="diverging">Diverging</option>
+							</select>
+						</div>
+						<button value="Color" class="color-add flex-button">Add</button>
 					</div>
-					<div id="shape-div" class="flex-table">
+					<div class="shape-div flex-table">
 						<h5 class="report-item-heading">Shapes:</h5>
-						<button id="shape-add" value="Shape" class="flex-button">Add</button>
+						<select class="select-shape-by">
+							<option value="" selected>Shape by...</option>
+						</select>
+						<button value="Shape" class="shape-add flex-button">Add</button>
 					</div>	
-					<div id="visuals-div" class="flex-table">
+					<div class="xaxis-div flex-table">
+						<h5 class="report-item-heading">X Axis:</h5>
+						<select class="select-xaxis">
+						</select>
+						<select class="select-dodge">
+							<option value="" selected>No subgroups</option>
+						</select>
+					</div>
+					<div class="yaxis-div flex-table">
+						<h5 class="report-item-heading">Y Axis:</h5>
+						<select class="select-yaxis">
+							<option value="log" selected>Concentration (log)</option>
+							<option value="pActivity">pActivity (-log10 M)</option>
+							<option value="linear">Concentration (linear)</option>
+						</select>
+					</div>
+					<div class="aggregate-div flex-table">
+						<h5 class="report-item-heading">Replicates:</h5>
+						<select class="select-statistic">
+							<option value="none" selected>Show all values</option>
+						</select>
+						<select class="select-spread">
+						</select>
+						<div class="flex-row">
+							<input class="cb-violin-raw" type="checkbox" checked></input>
+							<label class="row-label">Violins from raw values</label>
+						</div>
+					</div>
+					<div class="visuals-div flex-table">
 						<h5 class="report-item-heading">Visual Aids:</h5>
-						<div id="visuals-violin" class="flex-row">
-							<input id="cb-violin" type="checkbox" onchange="window.bioActivityGraph.updatePointPositions(); window.bioActivityGraph.plotData(); window.bioActivityGraph.plotViolins();" ></input>
+						<div class="visuals-violin flex-row">
+							<input class="cb-violin" type="checkbox" ></input>
 							<label class="row-label">Violin plot</label>
 						</div>	
-						<div id="visuals-jitter" class="flex-row">
-							<input type="checkbox" id="cb-jitter" onchange="window.bioActivityGraph.updatePointPositions(); window.bioActivityGraph.plotData();"></input>
+						<div class="visuals-bandwidth flex-row">
+							<input class="input-bandwidth" type="range" min="0.25" max="3" step="0.25"></input>
+							<label class="row-label">Violin smoothing</label>
+						</div>
+						<div class="visuals-box flex-row">
+							<input class="cb-box" type="checkbox"></input>
+							<label class="row-label">Box plot</label>
+						</div>
+						<div class="visuals-markers flex-row">
+							<input class="cb-markers" type="checkbox"></input>
+							<label class="row-label">Median and geometric mean</label>
+						</div>
+						<div class="visuals-jitter flex-row">
+							<input class="cb-jitter" type="checkbox"></input>
 							<label class="row-label">Jitter</label>
 						</div>
+						<div class="visuals-brush flex-row">
+							<input class="cb-brush" type="checkbox"></input>
+							<label class="row-label">Select points (drag)</label>
+						</div>
+						<div class="flex-row">
+							<button class="reset-view flex-button" title="Zoom with Ctrl + mouse wheel, pan by dragging">Reset view</button>
+						</div>
+						<div class="visuals-censored flex-row">
+							<input class="cb-censored" type="checkbox" checked></input>
+							<label class="row-label">Censored values (&lt;, &gt;, ~)</label>
+						</div>
+						<div class="visuals-violin-censored flex-row">
+							<input class="cb-violin-censored" type="checkbox" checked></input>
+							<label class="row-label">Censored values in violins</label>
+						</div>
+					</div>
+					<div class="stats-div flex-table">
+						<h5 class="report-item-heading">Statistics:</h5>
+						<table class="stats-table">
+							<thead>
+								<tr><th>Group</th><th>n</th><th>Median (nM)</th><th>Geo. mean (nM)</th></tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+					</div>
+					<div class="selection-div flex-table">
+						<h5 class="report-item-heading">Selection: <span class="selection-count">None</span></h5>
+						<table class="selection-table" style="display: none;">
+							<thead>
+								<tr><th>Gene</th><th>Type</th><th>Value (nM)</th></tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+					</div>
+					<div class="export-div flex-table">
+						<h5 class="report-item-heading">Export:</h5>
+						<div class="flex-row">
+							<button class="export-svg flex-button">Download SVG</button>
+						</div>
+						<div class="flex-row">
+							<select class="select-png-scale">
+								<option value="1">1x</option>
+								<option value="2" selected>2x</option>
+								<option value="4">4x</option>
+							</select>
+							<button class="export-png flex-button">Download PNG</button>
+						</div>
+						<div class="flex-row">
+							<select class="select-data-format">
+								<option value="csv" selected>CSV</option>
+								<option value="tsv">TSV</option>
+							</select>
+							<button class="export-data flex-button">Download data</button>
+						</div>
+						<label class="export-error row-label" style="display: none;"></label>
+					</div>
+					<div class="excluded-div flex-table">
+						<h5 class="report-item-heading">Excluded Points:</h5>
+						<details>
+							<summary></summary>
+						</details>
 					</div>
 				</div>
 
-				<div class="im-modal" id="modal-bioActivity">
-					<div class="im-modal-content">
-						<div id="modal-dialog">
+				<div class="modal-bioActivity im-modal">
+					<form class="im-modal-content">
+						<div>
 							<div class="modal-content">
 								<div class="modal-header">
-									<h4 id="modal-title">
+									<h4>
 										Select Options to Apply...
 										<a class="close">&times</a>
 									</h4>
@@ -88,19 +252,7 @@ function main(el, service, imEntity, state, config, navigate) {
 												<div class="panel-heading active">
 													<h3 class="panel-title">Category</h3>
 												</div>
-												<div id="panel-body-category" class="panel-body">
-													<label class="row-label">
-														<input type="radio" name="radio-category" value="primaryAccession" checked>
-														Primary Accession
-													</label>
-													<label class="row-label">
-														<input type="radio" name="radio-category" value="symbol">
-														Gene Symbol
-													</label>
-													<label class="row-label">
-														<input type="radio" name="radio-category" value="type">
-														Activity Type
-													</label>
+												<div class="panel-body-category panel-body">
 												</div>
 											</div>
 											
@@ -108,15 +260,15 @@ function main(el, service, imEntity, state, config, navigate) {
 												<div class="panel-heading active">
 													<h3 class="panel-title">Value</h3>
 												</div>
-												<div id="panel-body-value" class="panel-body">
+												<div class="panel-body-value panel-body">
 												</div>
 											</div>
 
 											<div class="panel panel-default">
 												<div class="panel-heading active">
-													<h3 id="panel-title-input" class="panel-title"></h3>
+													<h3 class="panel-title-input panel-title"></h3>
 												</div>
-												<div id="panel-body-input" class="panel-body">
+												<div class="panel-body-input panel-body">
 												</div>
 											</div>
 											
@@ -125,16 +277,39 @@ function main(el, service, imEntity, state, config, navigate) {
 									</div>
 								</div>
 								<div class="modal-footer">
-									<a id="modal-apply" class="btn btn-raised btn-primary">Apply!</a>
+									<a class="modal-apply btn btn-raised btn-primary">Apply!</a>
 								</div>
 							</div>		
 						</div>	
-					</div>
+					</form>
 				</div>
 
 			</div>
 		</div>
 	`;
+
+	// define the TargetMine service
+	let tmService = new imjs.Service(service);
+	// a single compound for report pages, or a list of them for list pages
+	// only failures to retrieve the data are reported as such, and retried;
+	// failures to display the retrieved data are reported separately
+	let load = () => {
+		showStatus(el, 'Loading bioactivity data...', { loading: true });
+		fetchInterMine(tmService, imEntity.ChemblCompound.value, config.query)
+			.then(
+				records => {
+					hideStatus(el);
+					new BioActivityGraph(el, records, navigate, state, onStateChange, mergeLinks(config.links));
+				},
+				error => {
+					showStatus(el, `Unable to retrieve the bioactivity data: ${error.message || error}`, { retry: load });
+				}
+			)
+			.catch(error => {
+				showStatus(el, `Unable to display the bioactivity data: ${error.message || error}`, { error: true });
+			});
+	};
+	load();
 }
 
 export { main };
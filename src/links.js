@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * The URL templates of the external pages linked from the graph, grouped by
+ * the entity they describe, and keyed by the label displayed for them.
+ * Placeholders such as {primaryAccession} are replaced by the value of the
+ * corresponding field of a data point.
+ */
+export const DEFAULT_LINKS = {
+	protein: {
+		'UniProt': 'https://www.uniprot.org/uniprotkb/{primaryAccession}/entry',
+		'ChEMBL target': 'https://www.ebi.ac.uk/chembl/g/#search_results/targets/query={primaryAccession}'
+	},
+	activity: {
+		'ChEMBL assay': 'https://www.ebi.ac.uk/chembl/explore/assay/{assay}'
+	},
+	compound: {
+		'ChEMBL compound': 'https://www.ebi.ac.uk/chembl/explore/compound/{compound}'
+	}
+};
+
+/**
+ * The group of links available for the categories of each field of the X axis
+ */
+export const FIELD_SCOPES = {
+	compound: 'compound',
+	primaryAccession: 'protein',
+	symbol: 'protein',
+	assay: 'activity'
+};
+
+/**
+ * Merge the links configured for a mine with the default ones
+ * Configured links are added to, or replace, the default links with the same
+ * label. A null template removes a default link.
+ *
+ * @param {object} links The configured links, grouped as DEFAULT_LINKS
+ * @returns {object} The links, grouped as DEFAULT_LINKS
+ */
+export function mergeLinks(links = {}) {
+	return Object.keys(DEFAULT_LINKS).reduce((p, scope) => {
+		let merged = { ...DEFAULT_LINKS[scope], ...((links && links[scope]) || {}) };
+		p[scope] = Object.fromEntries(
+			Object.entries(merged).filter(([, url]) => typeof url === 'string')
+		);
+		return p;
+	}, {});
+}
+
+/**
+ * Build the URL of a link for a data point
+ *
+ * @param {string} template The URL template
+ * @param {object} point The data point
+ * @returns {string} The URL, or undefined if the point lacks any of the fields
+ * used by the template
+ */
+export function expandTemplate(template, point) {
+	let missing = false;
+	let url = template.replace(/\{(\w+)\}/g, (match, field) => {
+		let value = point[field];
+		if (value === undefined || value === null || value === '') missing = true;
+		return encodeURIComponent(value);
+	});
+	return missing ? undefined : url;
+}
+
+/**
+ * Build the links of a group available for a data point
+ *
+ * @param {object} templates The URL templates of the group, keyed by label
+ * @param {object} point The data point
+ * @returns {array} A list of { label, url } objects, one per template that
+ * could be completed
+ */
+export function resolveLinks(templates = {}, point) {
+	return Object.entries(templates)
+		.map(([label, template]) => ({ label, url: expandTemplate(template, point) }))
+		.filter(l => l.url !== undefined);
+}
@@ -0,0 +1,230 @@
+'use strict';
+
+const d3 = require('d3');
+
+/**
+ * A single bioactivity measurement, as consumed by BioActivityGraph
+ * Every data source is converted into a list of these records, so that the
+ * graph does not depend on the shape of the results of any particular query.
+ *
+ * @typedef {object} ActivityRecord
+ * @property {string} compound The identifier of the compound
+ * @property {string} compoundName The name of the compound
+ * @property {number} proteinId The InterMine object id of the target protein,
+ * used to navigate to its report page. Only available for records retrieved
+ * from a mine
+ * @property {string} primaryAccession The UniProt accession of the target
+ * @property {string} symbol The gene symbol of the target
+ * @property {string} proteinName The name of the target
+ * @property {boolean} canonical Whether the target is the canonical UniProt
+ * isoform
+ * @property {string} organism The name of the target's organism
+ * @property {string} type The activity type (IC50, Ki, etc.)
+ * @property {number} conc The measured concentration
+ * @property {string} relation The relation of the measured value ('=', '<', etc.)
+ * @property {string} unit The unit of the concentration
+ * @property {string} assay The identifier of the assay
+ * @property {string} assayType The type of the assay (binding, functional,
+ * etc.)
+ * @property {string} assayDescription The description of the assay
+ * @property {string} document The publication the activity was reported in
+ * @property {number} year The year of the publication
+ */
+
+/**
+ * The paths of an InterMine query, relative to the compound class, used to
+ * retrieve each field of an ActivityRecord
+ */
+export const DEFAULT_PATHS = {
+	compound: 'identifier',
+	compoundName: 'name',
+	proteinId: 'targetProteins.protein.id',
+	primaryAccession: 'targetProteins.protein.primaryAccession',
+	symbol: 'targetProteins.protein.symbol',
+	proteinName: 'targetProteins.protein.name',
+	canonical: 'targetProteins.protein.isUniprotCanonical',
+	organism: 'targetProteins.protein.organism.name',
+	type: 'targetProteins.activities.type',
+	conc: 'targetProteins.activities.conc',
+	relation: 'targetProteins.activities.relation',
+	unit: 'targetProteins.activities.unit',
+	assay: 'targetProteins.activities.assay.originalId',
+	assayType: 'targetProteins.activities.assay.assayType',
+	assayDescription: 'targetProteins.activities.assay.description',
+	document: 'targetProteins.activities.assay.publication.pubMedId',
+	year: 'targetProteins.activities.assay.publication.year'
+};
+
+/**
+ * Fields that a record must include to be placed in the graph; records with a
+ * missing or invalid concentration are kept, and reported as excluded by the
+ * graph
+ */
+const REQUIRED_FIELDS = ['primaryAccession', 'type'];
+
+/**
+ * Check whether a path exists in the data model of a mine
+ *
+ * @param {object} model The data model, as returned by imjs' fetchModel
+ * @param {string} root The class the path is relative to
+ * @param {string} path The path, as a dot separated list of fields
+ * @returns {boolean} Whether every field of the path exists
+ */
+export function pathExists(model, root, path) {
+	let cls = model.classes[root];
+	let fields = path.split('.');
+	for (let i = 0; i < fields.length; i++) {
+		if (cls === undefined) return false;
+		let name = fields[i];
+		/* ids are not part of the model, but are available in every class */
+		if (name === 'id' && i === fields.length - 1) return true;
+		let attribute = (cls.attributes || {})[name];
+		let reference = (cls.references || {})[name] || (cls.collections || {})[name];
+		if (attribute) return i === fields.length - 1;
+		if (!reference) return false;
+		cls = model.classes[reference.referencedType];
+	}
+	/* a path must end in an attribute */
+	return false;
+}
+
+/**
+ * Validate the paths of a query against the data model of a mine
+ * Paths of optional fields that do not exist are removed from the query, so
+ * that the graph is displayed without them.
+ *
+ * @param {object} model The data model, as returned by imjs' fetchModel
+ * @param {object} options The 'root' class and 'paths' of the query, see
+ * interMineQuery
+ * @returns {object} The paths of the query, with missing optional fields set
+ * to null
+ * @throws {Error} If the root class, or the path of a required field, does
+ * not exist in the model
+ */
+export function validatePaths(model, options = {}) {
+	let root = options.root || 'ChemblCompound';
+	if (model.classes[root] === undefined)
+		throw new Error(`The data model of the mine does not include the class ${root}`);
+	let paths = { ...DEFAULT_PATHS, ...(options.paths || {}) };
+	Object.keys(paths).forEach(f => {
+		if (paths[f] === null || pathExists(model, root, paths[f])) return;
+		if (REQUIRED_FIELDS.includes(f))
+			throw new Error(`The data model of the mine does not include the path ${root}.${paths[f]}`);
+		paths[f] = null;
+	});
+	return paths;
+}
+
+/**
+ * Build the InterMine query used to retrieve the bioactivity of one or more
+ * compounds
+ *
+ * @param {string|number|array} ids The internal identifier of the compound,
+ * or a list of identifiers
+ * @param {object} options The 'root' class of the query (default value
+ * 'ChemblCompound') and the 'paths' used for each field, which are merged
+ * with DEFAULT_PATHS. A null path leaves the field out of the query
+ * @returns {object} The query, in the JSON format accepted by imjs, together
+ * with the ordered list of record fields selected by it
+ */
+export function interMineQuery(ids, options = {}) {
+	let root = options.root || 'ChemblCompound';
+	let paths = { ...DEFAULT_PATHS, ...(options.paths || {}) };
+	/* fields whose path is null are not retrieved */
+	let fields = Object.keys(paths).filter(f => paths[f] !== null);
+	/* references used only by optional fields are outer joined, so that
+	 * activities are not discarded when these are missing */
+	let prefixes = path => path.split('.').slice(0, -1)
+		.map((p, i, refs) => refs.slice(0, i + 1).join('.'));
+	let required = new Set(REQUIRED_FIELDS.flatMap(f => prefixes(paths[f])));
+	let joins = [...new Set(fields.flatMap(f => prefixes(paths[f])))]
+		.filter(p => !required.has(p));
+	let query = {
+		from: root,
+		select: fields.map(f => `${root}.${paths[f]}`),
+		joins: joins.map(p => `${root}.${p}`),
+		where: [Array.isArray(ids) ?
+			{ path: `${root}.id`, op: 'ONE OF', values: ids.map(String) } :
+			{ path: `${root}.id`, op: '=', value: ids }
+		]
+	};
+	return { query, fields };
+}
+
+/**
+ * Convert the rows returned by an InterMine query into activity records
+ *
+ * @param {array} rows The result rows, each with one value per selected path
+ * @param {array} fields The record field corresponding to each selected path
+ * @returns {array} The list of ActivityRecord
+ */
+export function fromRows(rows, fields) {
+	return fromJSON(rows.map(row =>
+		fields.reduce((p, c, i) => {
+			p[c] = row[i];
+			return p;
+		}, {})
+	));
+}
+
+/**
+ * Retrieve the bioactivity of one or more compounds from an InterMine
+ * instance, using a single query
+ * The paths of the query are validated against the data model of the mine
+ * before the query is run.
+ *
+ * @param {object} service The imjs Service used to query the mine
+ * @param {string|number|array} ids The internal identifier of the compound,
+ * or a list of identifiers
+ * @param {object} options The options used to build the query, see
+ * interMineQuery
+ * @returns {Promise} A promise resolved with the list of ActivityRecord, or
+ * rejected if the query can not be run on the mine
+ */
+export function fetchInterMine(service, ids, options = {}) {
+	return service.fetchModel().then(model => {
+		let paths = validatePaths(model, options);
+		let { query, fields } = interMineQuery(ids, { ...options, paths });
+		return service.rows(query).then(rows => fromRows(rows, fields));
+	});
+}
+
+/**
+ * Normalize a list of plain objects into activity records
+ * Empty values are treated as missing, and objects that lack any of the
+ * required fields are discarded. Concentrations are kept as provided, as
+ * they are converted and validated together with their unit, while
+ * publication years are converted to numbers.
+ *
+ * @param {array} data The list of objects, with the fields of ActivityRecord
+ * @returns {array} The list of ActivityRecord
+ */
+export function fromJSON(data) {
+	let empty = v => v === undefined || v === null || v === '';
+	return data
+		.map(d => {
+			let record = {};
+			Object.keys(DEFAULT_PATHS).forEach(f => {
+				if (!empty(d[f])) record[f] = d[f];
+			});
+			if (record.canonical !== undefined)
+				record.canonical = record.canonical === true || record.canonical === 'true';
+			if (record.year !== undefined) {
+				record.year = +record.year;
+				if (!Number.isFinite(record.year)) delete record.year;
+			}
+			return record;
+		})
+		.filter(r => REQUIRED_FIELDS.every(f => r[f] !== undefined));
+}
+
+/**
+ * Parse comma separated values into activity records
+ * The first line of the text must name the fields of each column.
+ *
+ * @param {string} text The contents of the CSV file
+ * @returns {array} The list of ActivityRecord
+ */
+export function fromCSV(text) {
+	return fromJSON(d3.csvParse(text));
+}
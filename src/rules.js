@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * The fields of a data point that style rules can be applied to, together
+ * with the label used to display them.
+ */
+export const FIELD_LABELS = {
+	compound: 'Compound',
+	primaryAccession: 'Primary Accession',
+	symbol: 'Gene Symbol',
+	organism: 'Organism',
+	type: 'Activity Type',
+	assay: 'Assay',
+	assayType: 'Assay Type',
+	document: 'Document',
+	year: 'Publication Year',
+	value: 'Concentration (nM)',
+	pActivity: 'pActivity',
+	measurements: 'Measurements per Target'
+};
+
+/**
+ * Fields whose values are numeric, and thus matched using ranges
+ */
+export const NUMERIC_FIELDS = ['year', 'value', 'pActivity', 'measurements'];
+
+/**
+ * Fields whose values are categorical, and thus matched by value
+ */
+export const CATEGORICAL_FIELDS = Object.keys(FIELD_LABELS)
+	.filter(f => !NUMERIC_FIELDS.includes(f));
+
+/**
+ * Check whether a style rule applies to a data point
+ * A rule matches either a list of values, or a numeric range [min, max) of
+ * the rule's field. Open ranges are represented using null bounds.
+ *
+ * @param {object} point The data point
+ * @param {object} rule The style rule, with 'field' and either 'values' or
+ * 'range' properties
+ * @returns {boolean} Whether the rule applies to the point
+ */
+export function matchesRule(point, rule) {
+	let value = point[rule.field];
+	if (value === undefined || value === null) return false;
+	if (Array.isArray(rule.range)) {
+		let [min, max] = rule.range;
+		if (typeof value !== 'number') return false;
+		return (min === null || value >= min) && (max === null || value < max);
+	}
+	return Array.isArray(rule.values) && rule.values.includes(value);
+}
+
+/**
+ * Find the style for a data point
+ * Rules are evaluated in order, and the style of the first one that matches
+ * the point is returned.
+ *
+ * @param {object} point The data point
+ * @param {array} rules The ordered list of style rules
+ * @param {string} fallback The style used when no rule matches
+ * @returns {string} The style assigned to the point
+ */
+export function applyRules(point, rules, fallback) {
+	let rule = rules.find(r => matchesRule(point, r));
+	return rule === undefined ? fallback : rule.style;
+}
+
+/**
+ * Describe a style rule in a human readable way
+ *
+ * @param {object} rule The style rule
+ * @returns {string} The description of the rule
+ */
+export function describeRule(rule) {
+	if (rule.label) return rule.label;
+	let label = FIELD_LABELS[rule.field] || rule.field;
+	if (Array.isArray(rule.range)) {
+		let [min, max] = rule.range;
+		if (min === null) return `${label} < ${max}`;
+		if (max === null) return `${label} ≥ ${min}`;
+		return `${min} ≤ ${label} < ${max}`;
+	}
+	return `${label}: ${rule.values.join(', ')}`;
+}
+
+/**
+ * Generate the rules that assign a style to each distinct value of a field
+ * Values are sorted by their number of occurrences, and each one is assigned
+ * one of the styles in the palette. When there are more values than styles,
+ * the last style of the palette is instead used for an overflow bucket that
+ * groups all the remaining values.
+ *
+ * @param {array} points The data points
+ * @param {string} field The field whose values are styled
+ * @param {array} palette The list of styles to assign
+ * @returns {array} The list of rules, one per style used
+ */
+export function paletteRules(points, field, palette) {
+	let counts = points.reduce((p, c) => {
+		let v = c[field];
+		if (v !== undefined && v !== null) p.set(v, (p.get(v) || 0) + 1);
+		return p;
+	}, new Map());
+	let values = [...counts.keys()].sort((a, b) =>
+		counts.get(b) - counts.get(a) || String(a).localeCompare(String(b))
+	);
+	let fits = values.length <= palette.length;
+	let single = fits ? values : values.slice(0, palette.length - 1);
+	let rules = single.map((v, i) => ({ field, values: [v], style: palette[i] }));
+	if (!fits) {
+		let rest = values.slice(palette.length - 1);
+		rules.push({
+			field,
+			values: rest,
+			style: palette[palette.length - 1],
+			label: `${FIELD_LABELS[field] || field}: Other (${rest.length})`
+		});
+	}
+	return rules;
+}
+
+/**
+ * Check that an object is a valid style rule
+ * Used to validate rules restored from a saved state.
+ *
+ * @param {object} rule The object to check
+ * @returns {boolean} Whether the object can be used as a style rule
+ */
+export function isValidRule(rule) {
+	if (!rule || typeof rule.field !== 'string' || typeof rule.style !== 'string')
+		return false;
+	if (Array.isArray(rule.range))
+		return rule.range.length === 2 &&
+			rule.range.every(b => b === null || typeof b === 'number') &&
+			rule.range.some(b => b !== null);
+	return Array.isArray(rule.values) && rule.values.length > 0;
+}
+
+/**
+ * Move a rule to a different position in an ordered list of rules
+ *
+ * @param {array} rules The ordered list of rules
+ * @param {number} from The current index of the rule
+ * @param {number} to The index the rule is moved to
+ * @returns {array} A new list of rules, with the rule in its new position
+ */
+export function moveRule(rules, from, to) {
+	let moved = [...rules];
+	if (from < 0 || from >= moved.length) return moved;
+	let [rule] = moved.splice(from, 1);
+	moved.splice(Math.max(0, Math.min(to, moved.length)), 0, rule);
+	return moved;
+}
@@ -0,0 +1,42 @@
+'use strict';
+
+const d3 = require('d3');
+
+/**
+ * Display a status message in place of the graph
+ * Used while data is loading, when there is no data to display and when the
+ * data can not be retrieved.
+ *
+ * @param {HTMLElement} el The element containing the DOM template of the tool
+ * @param {string} message The message displayed
+ * @param {object} options Whether the message corresponds to a 'loading' or an
+ * 'error' state, and the 'retry' callback offered to the user after an error,
+ * if any
+ */
+export function showStatus(el, message, options = {}) {
+	let root = d3.select(el);
+	root.select('div.bioActivityGraph')
+		.style('display', 'none');
+	let status = root.select('div.bioActivity-status')
+		.style('display', 'flex')
+		.classed('loading', !!options.loading)
+		.classed('error', !!(options.error || options.retry));
+	status.select('.status-message')
+		.text(message);
+	status.select('.status-retry')
+		.style('display', options.retry ? null : 'none')
+		.on('click', options.retry ? () => options.retry() : null);
+}
+
+/**
+ * Hide the status message, and display the graph
+ *
+ * @param {HTMLElement} el The element containing the DOM template of the tool
+ */
+export function hideStatus(el) {
+	let root = d3.select(el);
+	root.select('div.bioActivity-status')
+		.style('display', 'none');
+	root.select('div.bioActivityGraph')
+		.style('display', null);
+}
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Conversion factors from each of the supported molar units to nM.
+ * Keys are lowercase, with micro written as 'u' (see normalizeUnit).
+ */
+const MOLAR_FACTORS = new Map([
+	['m', 1e9],
+	['mm', 1e6],
+	['um', 1e3],
+	['nm', 1],
+	['pm', 1e-3],
+	['fm', 1e-6]
+]);
+
+/**
+ * Normalize the textual representation of a unit
+ * Removes whitespace, lowercases the string and replaces the different micro
+ * signs (µ, μ) with a plain 'u', so that 'µM', 'uM' and 'UM' are all matched.
+ *
+ * @param {string} unit The unit as provided by the data source
+ * @returns {string} The normalized unit, or an empty string if none is given
+ */
+export function normalizeUnit(unit) {
+	if (unit === undefined || unit === null) return '';
+	return String(unit)
+		.replace(/\s+/g, '')
+		.replace(/[µμ]/g, 'u')
+		.toLowerCase();
+}
+
+/**
+ * Find the reason why a unit can not be converted to nM
+ *
+ * @param {string} unit The normalized unit (see normalizeUnit)
+ * @returns {string} A human readable explanation
+ */
+function unsupportedReason(unit) {
+	if (unit === '') return 'No unit provided';
+	if (unit.includes('%')) return 'Percentage values are not concentrations';
+	if (unit.startsWith('log') || unit.startsWith('p') || unit.includes('10^'))
+		return 'Logarithmic units are not concentrations';
+	if (/^(ng|ug|mg|g)\/(ml|l)$/.test(unit))
+		return 'Mass concentration requires a molecular weight';
+	return `Unit '${unit}' can not be converted to nM`;
+}
+
+/**
+ * Convert a concentration value to nM
+ * Only molar units (M, mM, µM/uM, nM, pM, fM) can be converted. For any other
+ * unit, or when the value is not a finite number, the returned value is
+ * undefined and the reason for the failed conversion is provided instead.
+ *
+ * @param {number|string} value The concentration value
+ * @param {string} unit The unit in which the value is expressed
+ * @returns {object} An object with either a 'value' (in nM) or a 'reason'
+ * property
+ */
+export function toNanoMolar(value, unit) {
+	if (value === undefined || value === null || value === '')
+		return { value: undefined, reason: 'No value provided' };
+	let num = Number(value);
+	if (!Number.isFinite(num))
+		return { value: undefined, reason: `Value '${value}' is not a number` };
+	let key = normalizeUnit(unit);
+	if (!MOLAR_FACTORS.has(key))
+		return { value: undefined, reason: unsupportedReason(key) };
+	/* a log scale can not display non-positive values */
+	if (num <= 0)
+		return { value: undefined, reason: 'Non-positive concentration' };
+	return { value: num * MOLAR_FACTORS.get(key), reason: undefined };
+}
+
+/**
+ * Bounds represented by each of the relations used to qualify an activity
+ * value. An 'upper' bound means the actual value is below the reported one,
+ * a 'lower' bound means it is above it.
+ */
+const RELATION_BOUNDS = new Map([
+	['<', 'upper'],
+	['<=', 'upper'],
+	['<<', 'upper'],
+	['>', 'lower'],
+	['>=', 'lower'],
+	['>>', 'lower'],
+	['~', 'approximate']
+]);
+
+/**
+ * Interpret the relation that qualifies an activity value
+ * Values reported with any relation other than equality are considered
+ * censored.
+ *
+ * @param {string} relation The relation as provided by the data source
+ * @returns {object} The normalized 'relation', the kind of 'bound' it
+ * represents (upper, lower, approximate or undefined) and whether the value
+ * is 'censored'
+ */
+export function parseRelation(relation) {
+	let rel = relation === undefined || relation === null ? '' : String(relation).trim();
+	rel = rel.replace('≤', '<=').replace('≥', '>=').replace('≈', '~');
+	if (rel === '' || rel === '==') rel = '=';
+	let bound = RELATION_BOUNDS.get(rel);
+	return { relation: rel, bound, censored: bound !== undefined };
+}
+
+/**
+ * Convert a concentration in nM to its pActivity value (-log10 of the molar
+ * concentration), where larger values indicate more potent activities.
+ *
+ * @param {number} value The concentration in nM
+ * @returns {number} The corresponding pActivity value
+ */
+export function toPActivity(value) {
+	return 9 - Math.log10(value);
+}
@@ -0,0 +1,61 @@
+import { aggregatePoints, summarize } from '../src/aggregate';
+
+describe('summarize', () => {
+	test('should compute the selected statistic', () => {
+		expect(summarize([1, 10, 100], 'median')).toBe(10);
+		expect(summarize([1, 100], 'geomean')).toBeCloseTo(10);
+		expect(summarize([5, 1, 100], 'best')).toBe(1);
+	});
+});
+
+describe('aggregatePoints', () => {
+	const point = (primaryAccession, type, value, bound) => ({
+		primaryAccession, type, value, bound, censored: bound !== undefined, relation: bound ? '>' : '='
+	});
+	const points = [
+		point('P1', 'IC50', 1),
+		point('P1', 'IC50', 10),
+		point('P1', 'IC50', 100),
+		point('P1', 'IC50', 1000),
+		point('P1', 'Ki', 5, 'lower'),
+		point('P2', 'IC50', 20)
+	];
+
+	test('should group points by protein and activity type', () => {
+		let agg = aggregatePoints(points, 'median', 'range');
+		expect(agg).toHaveLength(3);
+		expect(agg.map(a => a.replicates)).toEqual([4, 1, 1]);
+		expect(agg[0].value).toBe(55);
+		expect([agg[0].low, agg[0].high]).toEqual([1, 1000]);
+	});
+
+	test('should use the interquartile range when requested', () => {
+		let agg = aggregatePoints(points, 'best', 'iqr');
+		expect(agg[0].value).toBe(1);
+		expect([agg[0].low, agg[0].high]).toEqual([7.75, 325]);
+	});
+
+	test('should keep censoring only when shared by all replicates', () => {
+		let agg = aggregatePoints(points, 'median', 'range');
+		expect(agg[0].censored).toBe(false);
+		expect(agg[1].censored).toBe(true);
+		expect(agg[1].relation).toBe('>');
+	});
+
+	test('should only keep the assay details shared by all replicates', () => {
+		let agg = aggregatePoints([
+			{ ...point('P1', 'IC50', 1), assay: 'A1', assayType: 'B', document: 1, year: 2001 },
+			{ ...point('P1', 'IC50', 10), assay: 'A2', assayType: 'B', document: 2, year: 2001 }
+		], 'median', 'range');
+		expect(agg[0]).toMatchObject({ assayType: 'B', year: 2001 });
+		expect([agg[0].assay, agg[0].assayDescription, agg[0].document]).toEqual([undefined, undefined, undefined]);
+	});
+
+	test('should not aggregate the activities of different compounds', () => {
+		let agg = aggregatePoints([
+			{ ...point('P1', 'IC50', 1), compound: 'C1' },
+			{ ...point('P1', 'IC50', 10), compound: 'C2' }
+		], 'median', 'range');
+		expect(agg.map(a => a.compound)).toEqual(['C1', 'C2']);
+	});
+});
@@ -0,0 +1,76 @@
+import { PointCanvas } from '../src/PointCanvas';
+
+const d3 = require('d3');
+
+describe('PointCanvas', () => {
+	const calls = [];
+	const context = new Proxy({}, {
+		get: (target, prop) => prop in target ? target[prop] : (...args) => calls.push([prop, ...args]),
+		set: (target, prop, value) => { target[prop] = value; return true; }
+	});
+	const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext')
+		.mockImplementation(() => context);
+	afterAll(() => getContext.mockRestore());
+
+	const setup = options => {
+		document.body.innerHTML = '<svg><g class="graph"><g class="bottom-axis"><g class="tick"></g></g>' +
+			'<g class="points"></g></g></svg>';
+		let canvas = new PointCanvas(d3.select('g.graph'), options);
+		canvas.setSize(400, 400, { top: 40, right: 40, bottom: 40, left: 40 });
+		return canvas;
+	};
+	const points = [
+		{ x: 10, y: 100, shape: 'Circle', color: 'red' },
+		{ x: 50, y: 200, shape: 'Square', color: 'blue', censored: true, bound: 'lower' }
+	];
+	const mouse = (x, y) => new MouseEvent('mousemove', { clientX: x, clientY: y });
+
+	test('should draw each point with its color', () => {
+		let canvas = setup({});
+		canvas.draw(points, { selected: [], arrow: () => 1 });
+		expect(context.fillStyle).toBe('red');
+		expect(context.strokeStyle).toBe('blue');
+		expect(document.querySelector('foreignObject').style.display).toBe('');
+	});
+
+	test('should leave the axes uncovered, so that their ticks remain clickable', () => {
+		let onClick = jest.fn();
+		let canvas = setup({ onClick });
+		canvas.draw(points, { selected: [points[0]], arrow: () => 1 });
+		let object = document.querySelector('foreignObject');
+		let [x, y] = ['x', 'y'].map(a => +object.getAttribute(a));
+		let [w, h] = ['width', 'height'].map(a => +object.getAttribute(a));
+		/* the plot area spans 40 to 360 on both axes, padded by 5 pixels */
+		expect([x, y, x + w, y + h]).toEqual([35, 35, 365, 365]);
+		let tick = jest.fn();
+		d3.select('g.tick').on('click', tick);
+		document.querySelector('g.tick').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+		expect(tick).toHaveBeenCalled();
+		expect(onClick).not.toHaveBeenCalled();
+	});
+
+	test('should find the point under the mouse pointer', () => {
+		let onHover = jest.fn();
+		let onLeave = jest.fn();
+		let canvas = setup({ onHover, onLeave });
+		canvas.draw(points, { selected: [], arrow: () => 1 });
+		expect(canvas.find(mouse(52, 101))).toBe(points[0]);
+		expect(canvas.find(mouse(70, 150))).toBeUndefined();
+		document.querySelector('canvas').dispatchEvent(mouse(88, 198));
+		expect(onHover).toHaveBeenCalledWith(expect.anything(), points[1]);
+		canvas.clear();
+		expect(canvas.find(mouse(52, 101))).toBeUndefined();
+		expect(document.querySelector('foreignObject').style.display).toBe('none');
+	});
+
+	test('should open the context menu of the point under the mouse pointer', () => {
+		let onContextMenu = jest.fn();
+		let canvas = setup({ onContextMenu });
+		canvas.draw(points, { selected: [], arrow: () => 1 });
+		let menu = (x, y) => new MouseEvent('contextmenu', { clientX: x, clientY: y });
+		document.querySelector('canvas').dispatchEvent(menu(70, 150));
+		expect(onContextMenu).not.toHaveBeenCalled();
+		document.querySelector('canvas').dispatchEvent(menu(52, 101));
+		expect(onContextMenu).toHaveBeenCalledWith(expect.anything(), points[0]);
+	});
+});
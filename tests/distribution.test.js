@@ -0,0 +1,40 @@
+import { boxStats, kernelDensity, silvermanBandwidth } from '../src/distribution';
+
+describe('silvermanBandwidth', () => {
+	test('should follow the rule of thumb', () => {
+		let values = [1, 2, 3, 4, 5];
+		/* sd = 1.58, iqr / 1.34 = 1.49 */
+		expect(silvermanBandwidth(values)).toBeCloseTo(0.9 * 2 / 1.34 * Math.pow(5, -0.2));
+	});
+
+	test('should use a fixed bandwidth for values without spread', () => {
+		expect(silvermanBandwidth([3])).toBe(0.1);
+		expect(silvermanBandwidth([3, 3, 3])).toBe(0.1);
+	});
+});
+
+describe('kernelDensity', () => {
+	test('should integrate to one', () => {
+		let grid = Array.from({ length: 201 }, (_, i) => -10 + i * 0.1);
+		let density = kernelDensity([0, 1, 2], 0.5, grid);
+		let area = density.reduce((p, [, d]) => p + d * 0.1, 0);
+		expect(area).toBeCloseTo(1);
+		expect(density[100][0]).toBeCloseTo(0);
+	});
+
+	test('should be symmetric around a single value', () => {
+		let [[, left], , [, right]] = kernelDensity([0], 1, [-1, 0, 1]);
+		expect(left).toBeCloseTo(right);
+	});
+});
+
+describe('boxStats', () => {
+	test('should compute the quartiles and whiskers', () => {
+		let stats = boxStats([5, 1, 2, 3, 4, 100]);
+		expect(stats.n).toBe(6);
+		expect(stats.median).toBe(3.5);
+		expect([stats.q1, stats.q3]).toEqual([2.25, 4.75]);
+		/* 100 is an outlier, beyond 1.5 times the interquartile range */
+		expect(stats.whiskers).toEqual([1, 5]);
+	});
+});
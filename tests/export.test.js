@@ -0,0 +1,18 @@
+import { toDelimited } from '../src/export';
+
+describe('toDelimited', () => {
+	const rows = [
+		{ symbol: 'ABC', type: 'IC50', value: 10 },
+		{ symbol: 'D,EF', type: 'Ki "app"', value: undefined }
+	];
+
+	test('should write a header line and one line per row', () => {
+		expect(toDelimited(rows, ['symbol', 'value'], '\t'))
+			.toBe('symbol\tvalue\nABC\t10\nD,EF\t\n');
+	});
+
+	test('should quote fields containing the delimiter or quotes', () => {
+		expect(toDelimited(rows, ['symbol', 'type']))
+			.toBe('symbol,type\nABC,IC50\n"D,EF","Ki ""app"""\n');
+	});
+});
@@ -0,0 +1,29 @@
+import { defaultFilters, filterPoints } from '../src/filters';
+
+describe('defaultFilters', () => {
+	test('should only include human proteins when available', () => {
+		expect(defaultFilters([{ organism: 'Mus musculus' }, { organism: 'Homo sapiens' }]).organisms)
+			.toEqual(['Homo sapiens']);
+		expect(defaultFilters([{ organism: 'Mus musculus' }]).organisms).toBeUndefined();
+	});
+});
+
+describe('filterPoints', () => {
+	const points = [
+		{ compound: 'C1', organism: 'Homo sapiens', canonical: true, type: 'IC50', assayType: 'B', value: 10 },
+		{ compound: 'C1', organism: 'Homo sapiens', canonical: false, type: 'Ki', assayType: 'F', value: 100 },
+		{ compound: 'C2', organism: 'Mus musculus', canonical: true, type: 'IC50', value: 1000 }
+	];
+
+	test('should not filter anything with undefined filters', () => {
+		expect(filterPoints(points, {})).toHaveLength(3);
+	});
+
+	test('should combine all of the filters', () => {
+		expect(filterPoints(points, { organisms: ['Homo sapiens'] })).toHaveLength(2);
+		expect(filterPoints(points, { canonical: true })).toHaveLength(2);
+		expect(filterPoints(points, { types: ['IC50'], range: [1, 100] })).toEqual([points[0]]);
+		expect(filterPoints(points, { compounds: ['C2'] })).toEqual([points[2]]);
+		expect(filterPoints(points, { assayTypes: ['F'] })).toEqual([points[1]]);
+	});
+});
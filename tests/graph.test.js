@@ -0,0 +1,207 @@
+import { BioActivityGraph } from '../src/BioActivityGraph';
+import { main } from '../src';
+
+/* the service used by main never answers, so that the graph is built from the
+ * records of each test instead */
+global.imjs = {
+	Service: function() {
+		return { fetchModel: () => new Promise(() => {}), rows: () => new Promise(() => {}) };
+	}
+};
+
+const record = (primaryAccession, symbol, organism, type, conc, relation = '=') => ({
+	compound: 'CHEMBL25',
+	compoundName: 'ASPIRIN',
+	proteinId: primaryAccession.length,
+	primaryAccession,
+	symbol,
+	organism,
+	canonical: true,
+	type,
+	conc,
+	relation,
+	unit: 'nM'
+});
+const records = [
+	record('P23219', 'PTGS1', 'Homo sapiens', 'IC50', 10),
+	record('P23219', 'PTGS1', 'Homo sapiens', 'IC50', 1000, '>'),
+	record('P35354', 'PTGS2', 'Homo sapiens', 'Ki', 5, '<'),
+	record('Q05769', 'Ptgs2', 'Mus musculus', 'IC50', 100)
+];
+
+/**
+ * Build a graph within the DOM template of the tool
+ */
+const setup = (id = 'root', state = {}, onStateChange = undefined, navigate = () => {}) => {
+	let el = document.getElementById(id);
+	main(el, { root: 'x' }, { ChemblCompound: { value: 1 } }, {}, {}, () => {});
+	return [el, new BioActivityGraph(el, records, navigate, state, onStateChange)];
+};
+
+describe('BioActivityGraph', () => {
+	beforeEach(() => {
+		document.body.innerHTML = '<div id="root"></div>';
+	});
+
+	test('should report PNG export failures to the user', async () => {
+		let [el, graph] = setup();
+		/* jsdom is unable to render images */
+		await graph.exportPNG(2);
+		let error = el.querySelector('.export-error');
+		expect(error.style.display).toBe('');
+		expect(error.textContent).toMatch('Unable to export the PNG image');
+	});
+
+	test('should navigate to protein reports and category results', () => {
+		let navigate = jest.fn();
+		let [el] = setup('root', {}, undefined, navigate);
+		el.querySelector('path.data-point').dispatchEvent(new MouseEvent('click'));
+		el.querySelector('a.details-report').dispatchEvent(new MouseEvent('click'));
+		expect(navigate).toHaveBeenCalledWith('report', { type: 'Protein', id: 6 });
+		el.querySelector('g.bottom-axis g.tick').dispatchEvent(new MouseEvent('click'));
+		expect(navigate).toHaveBeenLastCalledWith('query', expect.objectContaining({ from: 'Protein' }));
+	});
+
+	test('should display the full label of axis categories in the tooltip', () => {
+		let [el] = setup();
+		let tick = el.querySelector('g.bottom-axis g.tick');
+		expect(tick.querySelector('title')).toBeNull();
+		tick.dispatchEvent(new MouseEvent('mouseover'));
+		let tooltip = el.querySelector('.bioActivity-tooltip');
+		expect(tooltip.style.display).toBe('block');
+		expect([...tooltip.querySelectorAll('dd')].map(d => d.textContent)).toEqual([tick.__data__, '2']);
+	});
+
+	test('should keep several instances independent', () => {
+		document.body.innerHTML = '<div id="a"></div><div id="b"></div>';
+		let [a, graphA] = setup('a');
+		let [b] = setup('b', { filters: {} });
+		graphA.setYAxisMode('pActivity');
+		expect(a.querySelector('text.left-axis-title').textContent).toMatch('pActivity');
+		expect(b.querySelector('text.left-axis-title').textContent).toMatch('nM');
+		/* the default filters of the first instance hide mouse proteins */
+		expect(a.querySelectorAll('path.data-point')).toHaveLength(3);
+		expect(b.querySelectorAll('path.data-point')).toHaveLength(4);
+		a.querySelector('path.data-point').dispatchEvent(new MouseEvent('click'));
+		expect(a.querySelector('.details-div').style.display).toBe('');
+		expect(b.querySelector('.details-div').style.display).toBe('none');
+		let clips = [...document.querySelectorAll('clipPath')].map(c => c.id);
+		expect(new Set(clips).size).toBe(clips.length);
+	});
+
+	test('should group and dodge the X axis by any categorical field', () => {
+		let [el, graph] = setup('root', { filters: {} });
+		graph.setXAxis('symbol', 'organism');
+		let ticks = [...el.querySelectorAll('g.bottom-axis g.tick')].map(t => t.__data__);
+		expect(ticks.sort()).toEqual(['PTGS1', 'PTGS2', 'Ptgs2']);
+		expect(el.querySelector('text.bottom-axis-title').textContent).toBe('Gene Symbol (by Organism)');
+	});
+
+	test('should rank the targets of the selected compound only', () => {
+		let el = document.getElementById('root');
+		main(el, { root: 'x' }, { ChemblCompound: { value: 1 } }, {}, {}, () => {});
+		let other = { ...record('P23219', 'PTGS1', 'Homo sapiens', 'IC50', 1), compound: 'CHEMBL1' };
+		new BioActivityGraph(el, [...records, other], () => {}, { view: 'selectivity', filters: {} });
+		let ranked = () => [...el.querySelectorAll('.selectivity .left-axis .tick text')].map(t => t.textContent);
+		expect(ranked()).toEqual(['PTGS2', 'PTGS1', 'Ptgs2']);
+		let select = el.querySelector('.select-selectivity-compound');
+		select.value = 'CHEMBL1';
+		select.dispatchEvent(new Event('change'));
+		expect(ranked()).toEqual(['PTGS1']);
+	});
+
+	test('should style the values of points hidden by the filters', () => {
+		let [el, graph] = setup();
+		graph.applyPalette('color', 'organism');
+		expect(graph.getState().colors.map(r => r.values)).toEqual([['Homo sapiens'], ['Mus musculus']]);
+		graph.modalDisplay('Color');
+		el.querySelector('.panel-body-category input[value="symbol"]').click();
+		let values = [...el.querySelectorAll('.panel-body-value input')].map(n => n.dataset.value);
+		expect(values).toEqual(['PTGS1', 'PTGS2', 'Ptgs2']);
+	});
+
+	test('should only zoom with the mouse wheel while Ctrl is held', () => {
+		let [el] = setup();
+		let svg = el.querySelector('svg.canvas_bioActivity');
+		let wheel = ctrlKey => new WheelEvent('wheel', { deltaY: -100, ctrlKey, cancelable: true, bubbles: true });
+		let scroll = wheel(false);
+		svg.dispatchEvent(scroll);
+		expect(scroll.defaultPrevented).toBe(false);
+		let zoom = wheel(true);
+		svg.dispatchEvent(zoom);
+		expect(zoom.defaultPrevented).toBe(true);
+	});
+});
+
+describe('BioActivityGraph state', () => {
+	beforeEach(() => {
+		document.body.innerHTML = '<div id="root"></div>';
+	});
+
+	test('should restore a saved configuration', () => {
+		let state = {
+			colors: [{ field: 'symbol', values: ['PTGS1'], style: '#ff0000' }],
+			shapes: [{ field: 'pActivity', range: [7, null], style: 'Square' }],
+			aggregation: { statistic: 'median', spread: 'iqr', violinRaw: true },
+			filters: { organisms: ['Mus musculus'], canonical: true, range: [1, 1000] },
+			yMode: 'pActivity',
+			view: 'selectivity',
+			threshold: 30,
+			selectivityCompound: 'CHEMBL25',
+			heatmapOrder: 'hierarchical',
+			xField: 'symbol',
+			dodgeField: 'type',
+			bandwidth: 2,
+			violin: false,
+			box: true,
+			markers: true,
+			jitter: false
+		};
+		let [, graph] = setup('root', state);
+		let saved = JSON.parse(JSON.stringify(graph.getState()));
+		expect(saved).toMatchObject(state);
+		/* a graph built from the saved state is configured in the same way */
+		document.body.innerHTML = '<div id="root"></div>';
+		let [, restored] = setup('root', saved);
+		expect(JSON.parse(JSON.stringify(restored.getState()))).toEqual(saved);
+	});
+
+	test('should ignore invalid options', () => {
+		let [, graph] = setup('root', {
+			colors: [{ field: 'symbol', values: ['PTGS1'] }, { field: 'type', values: ['Ki'], style: '#00ff00' }],
+			colorScale: { field: 'symbol' },
+			aggregation: { statistic: 'mode', spread: 'sd' },
+			filters: { organisms: [1, 'Homo sapiens'], range: [1, 'x'] },
+			yMode: 'cubic',
+			view: 'pie',
+			threshold: 0,
+			heatmapOrder: 'random',
+			xField: 'value',
+			bandwidth: -1
+		});
+		let state = graph.getState();
+		expect(state.colors).toEqual([{ field: 'type', values: ['Ki'], style: '#00ff00' }]);
+		expect(state.colorScale).toBeUndefined();
+		expect(state.aggregation).toEqual({ statistic: 'none', spread: 'range', violinRaw: true });
+		expect(state.filters.organisms).toEqual(['Homo sapiens']);
+		expect(state.filters.range).toBeUndefined();
+		expect(state).toMatchObject({
+			yMode: 'log',
+			view: 'scatter',
+			threshold: 10,
+			heatmapOrder: 'potency',
+			xField: 'type',
+			bandwidth: 1
+		});
+	});
+
+	test('should report every change of configuration', () => {
+		let onStateChange = jest.fn();
+		let state = { filters: {} };
+		let [, graph] = setup('root', state, onStateChange);
+		graph.setYAxisMode('linear');
+		expect(onStateChange).toHaveBeenLastCalledWith(expect.objectContaining({ yMode: 'linear' }));
+		/* the state provided by the host is not modified */
+		expect(state).toEqual({ filters: {} });
+	});
+});
@@ -0,0 +1,92 @@
+import { HeatmapGraph, clusterOrder, heatmapCells } from '../src/HeatmapGraph';
+
+const d3 = require('d3');
+
+describe('heatmapCells', () => {
+	const point = (compound, primaryAccession, type, value, bound) => ({ compound, primaryAccession, type, value, bound });
+
+	test('should keep the best value of each compound and target', () => {
+		let cells = heatmapCells([
+			point('C1', 'P1', 'IC50', 100),
+			point('C1', 'P1', 'IC50', 10),
+			point('C1', 'P1', 'Ki', 1),
+			point('C2', 'P1', 'IC50', 1000),
+			point('C2', 'P2', 'IC50', 5, 'lower')
+		], 'IC50');
+		expect(cells.map(c => [c.compound, c.accession, c.value])).toEqual([
+			['C1', 'P1', 10],
+			['C2', 'P1', 1000],
+			['C2', 'P2', 5]
+		]);
+		expect(cells[0].pActivity).toBe(8);
+		expect(cells[2].inactive).toBe(true);
+	});
+});
+
+describe('clusterOrder', () => {
+	test('should place similar keys next to each other', () => {
+		let vectors = new Map([
+			['A', new Map([['x', 9], ['y', 5]])],
+			['B', new Map([['x', 5], ['y', 9]])],
+			['C', new Map([['x', 9], ['y', 5.5]])]
+		]);
+		let order = clusterOrder(['A', 'B', 'C'], vectors);
+		expect(Math.abs(order.indexOf('A') - order.indexOf('C'))).toBe(1);
+		expect(order).toHaveLength(3);
+	});
+
+	test('should merge keys without shared values last', () => {
+		let vectors = new Map([
+			['A', new Map([['x', 9]])],
+			['B', new Map([['y', 9]])],
+			['C', new Map([['x', 8]])]
+		]);
+		expect(clusterOrder(['A', 'B', 'C'], vectors)).toEqual(['A', 'C', 'B']);
+	});
+
+	test('should order a few hundred keys quickly', () => {
+		let keys = d3.range(400).map(i => `K${i}`);
+		let vectors = new Map(keys.map((k, i) => [
+			k,
+			new Map(d3.range(10).filter(j => (i + j) % 3).map(j => [`D${j}`, (i * 7 + j * 13) % 11]))
+		]));
+		let start = Date.now();
+		let order = clusterOrder(keys, vectors);
+		expect(Date.now() - start).toBeLessThan(2000);
+		expect(new Set(order).size).toBe(400);
+	});
+});
+
+describe('HeatmapGraph', () => {
+	test('should keep the clustering until the cells change', () => {
+		document.body.innerHTML = '<svg><g class="heatmap"></g></svg>';
+		let graph = new HeatmapGraph(d3.select('svg'), {
+			width: 400,
+			height: 400,
+			margin: { top: 40, right: 40, bottom: 60, left: 80 }
+		});
+		graph.setOrder('hierarchical');
+		graph.setType('IC50');
+		let points = [
+			{ compound: 'C1', primaryAccession: 'P1', type: 'IC50', value: 10 },
+			{ compound: 'C2', primaryAccession: 'P1', type: 'IC50', value: 100 },
+			{ compound: 'C1', primaryAccession: 'P2', type: 'IC50', value: 1000 }
+		];
+		graph.plot(points);
+		let clustering = graph._clustering;
+		graph.setSize(500, 500);
+		graph.plot(points);
+		expect(graph._clustering).toBe(clustering);
+		graph.plot(points.slice(1));
+		expect(graph._clustering).not.toBe(clustering);
+	});
+
+	test('should only accept the available orderings', () => {
+		let graph = new HeatmapGraph(undefined, {});
+		graph.setOrder('alphabetical');
+		expect(graph.getOrder()).toBe('potency');
+		graph.setOrder('hierarchical');
+		graph.setType('Ki');
+		expect([graph.getOrder(), graph.getType()]).toEqual(['hierarchical', 'Ki']);
+	});
+});
@@ -1,5 +1,14 @@
 const main = require('../src').main;
 
+/* the data is retrieved, but the graph fails to display it */
+jest.mock('../src/provider', () => ({
+	fetchInterMine: () => Promise.resolve([{ compound: 'CHEMBL25' }])
+}));
+jest.mock('../src/BioActivityGraph', () => ({
+	BioActivityGraph: function() { throw new Error('Invalid records'); }
+}));
+global.imjs = { Service: function() {} };
+
 // Example
 describe('main', () => {
 	test('should throw error when called with wrong signature', () => {
@@ -8,4 +17,13 @@ describe('main', () => {
 			main('', 0, null, undefined, []);
 		}).toThrowError('Call main with correct signature');
 	});
+
+	test('should report errors displaying the data', async () => {
+		let el = document.createElement('div');
+		main(el, { root: 'x' }, { ChemblCompound: { value: 1 } }, {}, {}, () => {});
+		await new Promise(resolve => setTimeout(resolve, 0));
+		expect(el.querySelector('.status-message').textContent)
+			.toBe('Unable to display the bioactivity data: Invalid records');
+		expect(el.querySelector('.status-retry').style.display).toBe('none');
+	});
 });
@@ -0,0 +1,43 @@
+import { DEFAULT_LINKS, expandTemplate, mergeLinks, resolveLinks } from '../src/links';
+
+describe('expandTemplate', () => {
+	test('should replace placeholders with encoded field values', () => {
+		expect(expandTemplate('https://example.org/{symbol}/{type}', { symbol: 'ABC', type: 'IC 50' }))
+			.toBe('https://example.org/ABC/IC%2050');
+	});
+
+	test('should not build links with missing fields', () => {
+		expect(expandTemplate('https://example.org/{assay}', { assay: '' })).toBeUndefined();
+		expect(expandTemplate('https://example.org/{assay}', {})).toBeUndefined();
+	});
+});
+
+describe('mergeLinks', () => {
+	test('should use the default links when none are configured', () => {
+		expect(mergeLinks()).toEqual(DEFAULT_LINKS);
+		expect(mergeLinks(null)).toEqual(DEFAULT_LINKS);
+	});
+
+	test('should match the links declared by the tool configuration', () => {
+		expect(mergeLinks(require('../config.json').links)).toEqual(DEFAULT_LINKS);
+	});
+
+	test('should add, replace and remove links', () => {
+		let links = mergeLinks({
+			protein: { 'UniProt': 'https://example.org/{primaryAccession}', 'ChEMBL target': null },
+			compound: { 'PubChem': 'https://example.org/{compound}' }
+		});
+		expect(links.protein).toEqual({ 'UniProt': 'https://example.org/{primaryAccession}' });
+		expect(Object.keys(links.compound)).toEqual(['ChEMBL compound', 'PubChem']);
+		expect(links.activity).toEqual(DEFAULT_LINKS.activity);
+	});
+});
+
+describe('resolveLinks', () => {
+	test('should only include the links available for a point', () => {
+		let point = { primaryAccession: 'P23219' };
+		expect(resolveLinks(DEFAULT_LINKS.protein, point).map(l => l.label))
+			.toEqual(['UniProt', 'ChEMBL target']);
+		expect(resolveLinks(DEFAULT_LINKS.activity, point)).toEqual([]);
+	});
+});
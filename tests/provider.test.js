@@ -0,0 +1,170 @@
+import {
+	DEFAULT_PATHS,
+	fetchInterMine,
+	fromCSV,
+	fromJSON,
+	fromRows,
+	interMineQuery,
+	pathExists,
+	validatePaths
+} from '../src/provider';
+
+const fs = require('fs');
+const path = require('path');
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+/* a minimal data model, including every default path */
+const attributes = (...names) => Object.fromEntries(names.map(n => [n, { name: n }]));
+const model = {
+	classes: {
+		ChemblCompound: {
+			attributes: attributes('identifier', 'name'),
+			collections: { targetProteins: { referencedType: 'ChemblInteraction' } }
+		},
+		ChemblInteraction: {
+			references: { protein: { referencedType: 'Protein' } },
+			collections: { activities: { referencedType: 'Activity' } }
+		},
+		Protein: {
+			attributes: attributes('primaryAccession', 'symbol', 'name', 'isUniprotCanonical'),
+			references: { organism: { referencedType: 'Organism' } }
+		},
+		Organism: { attributes: attributes('name') },
+		Activity: {
+			attributes: attributes('type', 'conc', 'relation', 'unit'),
+			references: { assay: { referencedType: 'ChemblAssay' } }
+		},
+		ChemblAssay: {
+			attributes: attributes('originalId', 'assayType', 'description'),
+			references: { publication: { referencedType: 'Publication' } }
+		},
+		Publication: { attributes: attributes('pubMedId', 'year') }
+	}
+};
+
+describe('interMineQuery', () => {
+	test('should select every field relative to the root class', () => {
+		let { query, fields } = interMineQuery(42);
+		expect(fields).toEqual(Object.keys(DEFAULT_PATHS));
+		expect(query.select[0]).toBe('ChemblCompound.identifier');
+		expect(query.where).toEqual([{ path: 'ChemblCompound.id', op: '=', value: 42 }]);
+	});
+
+	test('should retrieve a list of compounds in a single query', () => {
+		let { query } = interMineQuery([1, 2]);
+		expect(query.where).toEqual([{ path: 'ChemblCompound.id', op: 'ONE OF', values: ['1', '2'] }]);
+	});
+
+	test('should leave out fields with a null path', () => {
+		let { query, fields } = interMineQuery(42, { paths: { symbol: null } });
+		expect(fields).not.toContain('symbol');
+		expect(query.select).toHaveLength(fields.length);
+	});
+
+	test('should outer join references used only by optional fields', () => {
+		let { query } = interMineQuery(42);
+		expect(query.joins).toContain('ChemblCompound.targetProteins.activities.assay.publication');
+		expect(query.joins).toContain('ChemblCompound.targetProteins.protein.organism');
+		expect(query.joins).not.toContain('ChemblCompound.targetProteins.activities');
+	});
+
+	test('should allow configuring the root class and paths', () => {
+		let { query } = interMineQuery(42, { root: 'Compound', paths: { symbol: 'targets.gene.symbol' } });
+		expect(query.from).toBe('Compound');
+		expect(query.select).toContain('Compound.targets.gene.symbol');
+		expect(query.select).toContain('Compound.targetProteins.protein.primaryAccession');
+	});
+});
+
+describe('fromRows', () => {
+	test('should map each value to its record field', () => {
+		let { fields } = interMineQuery(42);
+		let records = fromRows(JSON.parse(fixture('rows.json')), fields);
+		expect(records).toHaveLength(2);
+		expect(records[1]).toMatchObject({
+			compound: 'CHEMBL25',
+			proteinId: 1002,
+			primaryAccession: 'Q05769',
+			canonical: false,
+			organism: 'Mus musculus',
+			conc: 3.2,
+			relation: '>',
+			unit: 'uM'
+		});
+	});
+});
+
+describe('validatePaths', () => {
+	test('should accept every default path', () => {
+		expect(Object.keys(DEFAULT_PATHS).every(f => pathExists(model, 'ChemblCompound', DEFAULT_PATHS[f]))).toBe(true);
+		expect(validatePaths(model)).toEqual(DEFAULT_PATHS);
+	});
+
+	test('should not accept paths ending in a reference', () => {
+		expect(pathExists(model, 'ChemblCompound', 'targetProteins.protein')).toBe(false);
+	});
+
+	test('should drop optional paths missing from the model', () => {
+		let paths = validatePaths(model, { paths: { symbol: 'targetProteins.protein.gene.symbol' } });
+		expect(paths.symbol).toBeNull();
+		expect(paths.primaryAccession).toBe(DEFAULT_PATHS.primaryAccession);
+	});
+
+	test('should fail when a required path or the root class is missing', () => {
+		expect(() => validatePaths(model, { paths: { type: 'targetProteins.type' } }))
+			.toThrow('ChemblCompound.targetProteins.type');
+		expect(() => validatePaths(model, { root: 'Compound' })).toThrow('class Compound');
+	});
+});
+
+describe('fetchInterMine', () => {
+	test('should resolve with the records of the query results', () => {
+		let service = {
+			fetchModel: jest.fn(() => Promise.resolve(model)),
+			rows: jest.fn(() => Promise.resolve(JSON.parse(fixture('rows.json'))))
+		};
+		return fetchInterMine(service, 42).then(records => {
+			expect(service.rows).toHaveBeenCalledWith(interMineQuery(42).query);
+			expect(records.map(r => r.symbol)).toEqual(['PTGS1', 'Ptgs2']);
+		});
+	});
+
+	test('should reject without querying when the model is not supported', async () => {
+		let service = {
+			fetchModel: jest.fn(() => Promise.resolve({ classes: {} })),
+			rows: jest.fn()
+		};
+		await expect(fetchInterMine(service, 42)).rejects.toThrow('ChemblCompound');
+		expect(service.rows).not.toHaveBeenCalled();
+	});
+});
+
+describe('fromJSON', () => {
+	test('should discard objects without accession or activity type', () => {
+		let records = fromJSON([
+			{ primaryAccession: 'P1', type: 'IC50', conc: 1, unit: 'nM', extra: 'x' },
+			{ primaryAccession: 'P2', conc: 1, unit: 'nM' }
+		]);
+		expect(records).toEqual([{ primaryAccession: 'P1', type: 'IC50', conc: 1, unit: 'nM' }]);
+	});
+
+	test('should convert publication years to numbers', () => {
+		let records = fromJSON([
+			{ primaryAccession: 'P1', type: 'IC50', year: '2009', assayType: 'B' },
+			{ primaryAccession: 'P1', type: 'IC50', year: 'n/a' }
+		]);
+		expect(records[0]).toMatchObject({ year: 2009, assayType: 'B' });
+		expect(records[1].year).toBeUndefined();
+	});
+});
+
+describe('fromCSV', () => {
+	test('should parse records, keeping missing concentrations', () => {
+		let records = fromCSV(fixture('activities.csv'));
+		expect(records).toHaveLength(2);
+		expect(records[0]).toMatchObject({ symbol: 'PTGS1', canonical: true, conc: '1670' });
+		expect(records[1].conc).toBeUndefined();
+		/* accessions are not InterMine ids, so report pages are not linked */
+		expect(records[0].proteinId).toBeUndefined();
+	});
+});
@@ -0,0 +1,74 @@
+import { applyRules, describeRule, isValidRule, matchesRule, moveRule, paletteRules } from '../src/rules';
+
+describe('matchesRule', () => {
+	const point = { symbol: 'IC50', type: 'Ki', primaryAccession: 'P1', value: 50 };
+
+	test('should only match values of the rule field', () => {
+		expect(matchesRule(point, { field: 'type', values: ['IC50'] })).toBe(false);
+		expect(matchesRule(point, { field: 'symbol', values: ['IC50'] })).toBe(true);
+		expect(matchesRule(point, { field: 'type', values: ['IC50', 'Ki'] })).toBe(true);
+	});
+
+	test('should match numeric ranges', () => {
+		expect(matchesRule(point, { field: 'value', range: [null, 100] })).toBe(true);
+		expect(matchesRule(point, { field: 'value', range: [50, 100] })).toBe(true);
+		expect(matchesRule(point, { field: 'value', range: [null, 50] })).toBe(false);
+		expect(matchesRule(point, { field: 'value', range: [100, null] })).toBe(false);
+	});
+});
+
+describe('applyRules', () => {
+	const rules = [
+		{ field: 'value', range: [null, 100], style: 'red' },
+		{ field: 'symbol', values: ['ABC'], style: 'blue' }
+	];
+
+	test('should use the first matching rule', () => {
+		expect(applyRules({ symbol: 'ABC', value: 10 }, rules, 'grey')).toBe('red');
+		expect(applyRules({ symbol: 'ABC', value: 1000 }, rules, 'grey')).toBe('blue');
+		expect(applyRules({ symbol: 'DEF', value: 1000 }, rules, 'grey')).toBe('grey');
+	});
+});
+
+describe('describeRule', () => {
+	test('should describe values and ranges', () => {
+		expect(describeRule({ field: 'symbol', values: ['A', 'B'] })).toBe('Gene Symbol: A, B');
+		expect(describeRule({ field: 'value', range: [null, 100] })).toBe('Concentration (nM) < 100');
+	});
+});
+
+describe('isValidRule', () => {
+	test('should reject incomplete rules', () => {
+		expect(isValidRule({ field: 'symbol', values: ['A'], style: 'red' })).toBe(true);
+		expect(isValidRule({ field: 'symbol', values: [], style: 'red' })).toBe(false);
+		expect(isValidRule({ field: 'value', range: [null, null], style: 'red' })).toBe(false);
+		expect(isValidRule(['ABC', 'red'])).toBe(false);
+	});
+});
+
+describe('moveRule', () => {
+	test('should move a rule without modifying the original list', () => {
+		const rules = ['a', 'b', 'c'];
+		expect(moveRule(rules, 0, 2)).toEqual(['b', 'c', 'a']);
+		expect(moveRule(rules, 2, 0)).toEqual(['c', 'a', 'b']);
+		expect(rules).toEqual(['a', 'b', 'c']);
+	});
+});
+
+describe('paletteRules', () => {
+	const points = ['A', 'B', 'B', 'C', 'D', 'D', 'D'].map(symbol => ({ symbol }));
+
+	test('should assign one style per value when the palette is large enough', () => {
+		let rules = paletteRules(points, 'symbol', ['s1', 's2', 's3', 's4', 's5']);
+		expect(rules.map(r => r.values)).toEqual([['D'], ['B'], ['A'], ['C']]);
+		expect(rules.map(r => r.style)).toEqual(['s1', 's2', 's3', 's4']);
+	});
+
+	test('should group the remaining values in an overflow bucket', () => {
+		let rules = paletteRules(points, 'symbol', ['s1', 's2', 's3']);
+		expect(rules).toHaveLength(3);
+		expect(rules[2].values).toEqual(['A', 'C']);
+		expect(rules[2].style).toBe('s3');
+		expect(describeRule(rules[2])).toBe('Gene Symbol: Other (2)');
+	});
+});
@@ -0,0 +1,62 @@
+import { SelectivityGraph, rankTargets } from '../src/SelectivityGraph';
+
+const d3 = require('d3');
+
+describe('rankTargets', () => {
+	const point = (primaryAccession, value, bound) => ({ primaryAccession, value, bound });
+
+	test('should rank targets by their best potency', () => {
+		let targets = rankTargets([
+			point('P1', 100),
+			point('P1', 20),
+			point('P2', 2),
+			point('P3', 50)
+		]);
+		expect(targets.map(t => t.accession)).toEqual(['P2', 'P1', 'P3']);
+		expect(targets.map(t => t.fold)).toEqual([1, 10, 25]);
+	});
+
+	test('should not use lower bounds as potency values', () => {
+		let targets = rankTargets([
+			point('P1', 1, 'lower'),
+			point('P1', 30),
+			point('P2', 10000, 'lower'),
+			point('P3', 10)
+		]);
+		expect(targets.map(t => t.accession)).toEqual(['P3', 'P1', 'P2']);
+		expect(targets[1].value).toBe(30);
+		expect(targets[2].inactive).toBe(true);
+	});
+});
+
+describe('SelectivityGraph', () => {
+	test('should only accept fold ratios of at least 1', () => {
+		let graph = new SelectivityGraph(undefined, {});
+		expect(graph.getThreshold()).toBe(10);
+		graph.setThreshold(0.5);
+		expect(graph.getThreshold()).toBe(10);
+		graph.setThreshold(100);
+		expect(graph.getThreshold()).toBe(100);
+	});
+
+	test('should not flag inactive targets as off-targets', () => {
+		document.body.innerHTML = '<svg><g class="selectivity"></g></svg>';
+		let onHover = jest.fn();
+		let graph = new SelectivityGraph(d3.select('svg'), {
+			width: 400,
+			height: 400,
+			margin: { top: 40, right: 40, bottom: 40, left: 60 },
+			onHover
+		});
+		graph.plot([
+			{ primaryAccession: 'P1', symbol: 'A', value: 10 },
+			{ primaryAccession: 'P2', symbol: 'B', value: 50 },
+			{ primaryAccession: 'P3', symbol: 'C', value: 20, bound: 'lower' }
+		]);
+		let flagged = [...document.querySelectorAll('.left-axis .tick.off-target text')].map(t => t.textContent);
+		expect(flagged).toEqual(['B']);
+		document.querySelector('circle.data-point').dispatchEvent(new MouseEvent('mouseover'));
+		expect(onHover).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ symbol: 'A' }));
+		expect(document.querySelector('circle title')).toBeNull();
+	});
+});
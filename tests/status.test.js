@@ -0,0 +1,42 @@
+import { hideStatus, showStatus } from '../src/status';
+
+const template = () => {
+	let el = document.createElement('div');
+	el.innerHTML = `
+		<div class="bioActivity-status">
+			<span class="status-spinner"></span>
+			<p class="status-message"></p>
+			<button class="status-retry"></button>
+		</div>
+		<div class="bioActivityGraph"></div>`;
+	return el;
+};
+
+describe('showStatus', () => {
+	test('should replace the graph with a loading message', () => {
+		let el = template();
+		showStatus(el, 'Loading', { loading: true });
+		expect(el.querySelector('.bioActivityGraph').style.display).toBe('none');
+		expect(el.querySelector('.bioActivity-status').classList.contains('loading')).toBe(true);
+		expect(el.querySelector('.status-message').textContent).toBe('Loading');
+		expect(el.querySelector('.status-retry').style.display).toBe('none');
+	});
+
+	test('should offer a retry after an error', () => {
+		let el = template();
+		let retry = jest.fn();
+		showStatus(el, 'Failed', { retry });
+		el.querySelector('.status-retry').click();
+		expect(retry).toHaveBeenCalled();
+		hideStatus(el);
+		expect(el.querySelector('.bioActivity-status').style.display).toBe('none');
+		expect(el.querySelector('.bioActivityGraph').style.display).toBe('');
+	});
+
+	test('should display errors without a retry', () => {
+		let el = template();
+		showStatus(el, 'Failed', { error: true });
+		expect(el.querySelector('.bioActivity-status').classList.contains('error')).toBe(true);
+		expect(el.querySelector('.status-retry').style.display).toBe('none');
+	});
+});
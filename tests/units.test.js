@@ -0,0 +1,63 @@
+import { normalizeUnit, parseRelation, toNanoMolar, toPActivity } from '../src/units';
+
+describe('normalizeUnit', () => {
+	test('should treat the different micro signs alike', () => {
+		expect(normalizeUnit('µM')).toBe('um');
+		expect(normalizeUnit('μM')).toBe('um');
+		expect(normalizeUnit(' uM ')).toBe('um');
+	});
+
+	test('should return an empty string for missing units', () => {
+		expect(normalizeUnit(null)).toBe('');
+		expect(normalizeUnit(undefined)).toBe('');
+	});
+});
+
+describe('toNanoMolar', () => {
+	test('should convert molar units to nM', () => {
+		expect(toNanoMolar(1, 'M').value).toBeCloseTo(1e9);
+		expect(toNanoMolar(2, 'mM').value).toBeCloseTo(2e6);
+		expect(toNanoMolar(3, 'µM').value).toBeCloseTo(3e3);
+		expect(toNanoMolar('4', 'nM').value).toBeCloseTo(4);
+		expect(toNanoMolar(5, 'pM').value).toBeCloseTo(5e-3);
+	});
+
+	test('should provide a reason for non-convertible values', () => {
+		let cases = [
+			[50, '%'],
+			[6.5, null],
+			[10, 'ug/mL'],
+			[7, 'log(10^-9M)'],
+			[undefined, 'nM'],
+			['abc', 'nM'],
+			[0, 'nM']
+		];
+		cases.forEach(([value, unit]) => {
+			let res = toNanoMolar(value, unit);
+			expect(res.value).toBeUndefined();
+			expect(typeof res.reason).toBe('string');
+		});
+	});
+});
+
+describe('parseRelation', () => {
+	test('should treat missing relations as exact values', () => {
+		expect(parseRelation(null)).toEqual({ relation: '=', bound: undefined, censored: false });
+		expect(parseRelation('=').censored).toBe(false);
+	});
+
+	test('should identify the bound of censored values', () => {
+		expect(parseRelation('>').bound).toBe('lower');
+		expect(parseRelation('<=').bound).toBe('upper');
+		expect(parseRelation('≥').relation).toBe('>=');
+		expect(parseRelation('~')).toEqual({ relation: '~', bound: 'approximate', censored: true });
+	});
+});
+
+describe('toPActivity', () => {
+	test('should return -log10 of the molar concentration', () => {
+		expect(toPActivity(1)).toBeCloseTo(9);
+		expect(toPActivity(1e3)).toBeCloseTo(6);
+		expect(toPActivity(0.1)).toBeCloseTo(10);
+	});
+});